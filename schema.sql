@@ -13,6 +13,8 @@ CREATE TABLE users (
     razorpay_customer_id TEXT,
     razorpay_subscription_id TEXT,
     webhook_url TEXT,
+    webhook_min_score INTEGER NOT NULL DEFAULT 0, -- Only send events scoring at least this
+    exclude_keywords JSONB NOT NULL DEFAULT '[]', -- Account-wide exclusions
     created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -23,10 +25,32 @@ CREATE INDEX idx_users_api_key ON users(api_key);
 CREATE TABLE profiles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    linkedin_url TEXT NOT NULL,
-    keywords JSONB NOT NULL,
+    linkedin_url TEXT NOT NULL, -- Canonical form, https://www.linkedin.com/in/<slug>
+    profile_key TEXT NOT NULL, -- The profile's slug, lowercased unless it is a member id
+    keywords JSONB NOT NULL DEFAULT '[]',
+    query TEXT, -- Optional boolean query, e.g. 'hiring AND (sdr OR ae) NOT intern'
+    exclude_keywords JSONB NOT NULL DEFAULT '[]', -- Veto a match when present in the same post
+    -- Default mode for plain keywords: token, prefix, substring or stem. The API creates
+    -- new profiles with 'token'; the column default keeps older rows on substring.
+    match_mode TEXT NOT NULL DEFAULT 'substring' CHECK (match_mode IN ('token', 'prefix', 'substring', 'stem')),
+    languages JSONB, -- Optional ISO 639-1 filter, e.g. '["en", "de"]'; NULL means any language
     last_post_timestamp TIMESTAMP,
     next_scan_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    post_interval_hours REAL, -- Learned average gap between posts; NULL until two posts are seen
+    scan_interval_hours REAL, -- Hours between scans, from post_interval_hours within the plan's bounds
+    post_depth INTEGER, -- Posts fetched per scan; NULL uses the plan's default
+    labels TEXT[] NOT NULL DEFAULT '{}', -- Free-form tags, e.g. from a bulk import
+    -- Set while an instance is scanning the profile; the claim lapses at scan_claimed_until
+    scan_claimed_by TEXT,
+    scan_claimed_until TIMESTAMP,
+    -- Paused profiles are skipped by scheduled scans; paused_reason says why
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+    paused_reason TEXT,
+    -- Outcome of recent scans; health_error holds the last problem seen
+    health TEXT NOT NULL DEFAULT 'ok' CHECK (health IN ('ok', 'no_posts', 'not_found', 'private', 'redirected', 'repeated_failure')),
+    health_error TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    health_checked_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -34,24 +58,316 @@ CREATE TABLE profiles (
 CREATE INDEX idx_profiles_user_id ON profiles(user_id);
 CREATE INDEX idx_profiles_next_scan_at ON profiles(next_scan_at);
 
--- Events table
+-- Each LinkedIn profile is monitored at most once per user
+CREATE UNIQUE INDEX idx_profiles_user_key ON profiles(user_id, profile_key);
+
+-- Events table: one row per matched post
 CREATE TABLE events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     profile_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
-    keyword TEXT NOT NULL,
     post_url TEXT NOT NULL,
     post_date TIMESTAMP NOT NULL,
-    snippet TEXT,
+    post_text TEXT, -- Full post text
+    -- Every matched keyword and query clause:
+    -- [{ keyword, matched_text, matched_clause, captures, score }]
+    matched_keywords JSONB NOT NULL DEFAULT '[]',
+    matched_clause TEXT, -- Query clause that fired (NULL when only keywords matched)
+    signal_types JSONB NOT NULL DEFAULT '[]', -- e.g. ["funding", "hiring_sales"]
+    hashtags JSONB NOT NULL DEFAULT '[]', -- Post hashtags without '#', e.g. ["hiring"]
+    mentions JSONB NOT NULL DEFAULT '[]', -- Names of mentioned people and companies
+    snippet TEXT, -- Window of the post centred on the first match
+    snippet_highlights JSONB, -- [{ start, end }] match positions within snippet
+    match_offsets JSONB, -- [{ start, end }] every match position within post_text
+    language TEXT, -- Detected post language (ISO 639-1), NULL when unsure
+    entities JSONB, -- Extracted funding/hiring details: { funding, hiring }
+    score INTEGER, -- Match confidence, 0-100 (highest of matched_keywords)
     detected_at TIMESTAMP DEFAULT NOW()
 );
 
 -- Indexes for event queries
 CREATE INDEX idx_events_profile_id ON events(profile_id);
 CREATE INDEX idx_events_detected_at ON events(detected_at);
+CREATE INDEX idx_events_score ON events(score);
 CREATE INDEX idx_events_post_url ON events(post_url);
 
 -- Unique constraint to prevent duplicate signal events
-CREATE UNIQUE INDEX idx_events_unique ON events(profile_id, post_url, keyword);
+CREATE UNIQUE INDEX idx_events_unique ON events(profile_id, post_url);
+CREATE INDEX idx_events_signal_types ON events USING GIN (signal_types);
+
+-- Compatibility view: one row per matched keyword, the event shape used before
+-- events became post-level (served by GET /events?format=keyword)
+CREATE VIEW keyword_events AS
+SELECT
+    e.id,
+    e.profile_id,
+    k->>'keyword' AS keyword,
+    k->>'matched_clause' AS matched_clause,
+    k->>'matched_text' AS matched_text,
+    k->'captures' AS captures,
+    e.post_url,
+    e.post_date,
+    e.post_text,
+    e.snippet,
+    e.snippet_highlights,
+    e.match_offsets,
+    e.language,
+    e.entities,
+    (k->>'score')::INTEGER AS score,
+    e.detected_at
+FROM events e
+CROSS JOIN LATERAL jsonb_array_elements(e.matched_keywords) AS k;
+
+-- Counts of a user's events since p_since by signal type and by matched
+-- keyword (GET /events/stats), returned as one JSON object so no row limit
+-- applies: { "by_signal_type": { type: events }, "by_keyword": { keyword: events } }
+CREATE OR REPLACE FUNCTION event_breakdown(p_user_id UUID, p_since TIMESTAMP)
+RETURNS JSONB AS $$
+    WITH recent AS (
+        SELECT e.signal_types, e.matched_keywords
+        FROM events e
+        JOIN profiles p ON p.id = e.profile_id
+        WHERE p.user_id = p_user_id AND e.detected_at >= p_since
+    ),
+    signal_counts AS (
+        SELECT t AS name, COUNT(*) AS events
+        FROM recent CROSS JOIN LATERAL jsonb_array_elements_text(recent.signal_types) AS t
+        GROUP BY t
+    ),
+    keyword_counts AS (
+        SELECT k->>'keyword' AS name, COUNT(*) AS events
+        FROM recent CROSS JOIN LATERAL jsonb_array_elements(recent.matched_keywords) AS k
+        GROUP BY k->>'keyword'
+    )
+    SELECT jsonb_build_object(
+        'by_signal_type', COALESCE((SELECT jsonb_object_agg(name, events) FROM signal_counts), '{}'::jsonb),
+        'by_keyword', COALESCE((SELECT jsonb_object_agg(name, events) FROM keyword_counts), '{}'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Posts fetched by scans, kept so keyword changes can be replayed (POST /profiles/dry-run)
+CREATE TABLE posts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    profile_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    post_url TEXT NOT NULL,
+    post_date TIMESTAMP,
+    text TEXT NOT NULL,
+    hashtags JSONB NOT NULL DEFAULT '[]',
+    mentions JSONB NOT NULL DEFAULT '[]',
+    fetched_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_posts_unique ON posts(profile_id, post_url);
+CREATE INDEX idx_posts_profile_date ON posts(profile_id, post_date DESC);
+
+-- User-defined signal templates (built-ins live in src/types/signal-templates.js)
+CREATE TABLE signal_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    keywords JSONB NOT NULL DEFAULT '[]',
+    query TEXT,
+    exclude_keywords JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_signal_templates_user_name ON signal_templates(user_id, name);
+
+-- Bulk profile imports (POST /profiles/import) and their per-row reports
+CREATE TABLE profile_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('csv', 'json')),
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    accepted_rows INTEGER,
+    rejected_rows INTEGER,
+    rows JSONB, -- Parsed rows of a queued import; cleared once it has run
+    report JSONB, -- { row, linkedin_url, status, reason, profile_id, campaign } per row
+    error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX idx_profile_imports_user ON profile_imports(user_id, created_at DESC);
+
+-- Scan log: one row per Apify run (a chunk of the scheduled scan, or a
+-- single profile scanned on demand)
+CREATE TABLE scan_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trigger TEXT NOT NULL CHECK (trigger IN ('scheduled', 'profile')),
+    instance_id TEXT,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    profiles_requested INTEGER NOT NULL DEFAULT 0,
+    profiles_scanned INTEGER NOT NULL DEFAULT 0, -- Profiles Apify returned a result for
+    posts_found INTEGER NOT NULL DEFAULT 0,
+    new_posts INTEGER NOT NULL DEFAULT 0,
+    events_created INTEGER NOT NULL DEFAULT 0,
+    profile_errors INTEGER NOT NULL DEFAULT 0,
+    error TEXT -- Set when the run itself failed, e.g. the Apify call
+);
+
+CREATE INDEX idx_scan_runs_started_at ON scan_runs(started_at DESC);
+
+-- What happened to each profile in a scan run
+CREATE TABLE profile_scans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scan_run_id UUID NOT NULL REFERENCES scan_runs(id) ON DELETE CASCADE,
+    profile_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    outcome TEXT NOT NULL
+        CHECK (outcome IN ('new_posts', 'no_new_posts', 'no_posts', 'not_returned', 'error')),
+    posts_found INTEGER NOT NULL DEFAULT 0,
+    new_posts INTEGER NOT NULL DEFAULT 0,
+    events_created INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    scanned_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_profile_scans_profile ON profile_scans(profile_id, scanned_at DESC);
+CREATE INDEX idx_profile_scans_user ON profile_scans(user_id, scanned_at DESC);
+
+-- A user's scan runs since p_since (all if null), newest first, with totals
+-- over only their own profiles in each run (GET /scans). Aggregated here so
+-- no row limit applies to the profile scans behind them.
+CREATE OR REPLACE FUNCTION user_scan_runs(p_user_id UUID, p_since TIMESTAMP, p_limit INTEGER)
+RETURNS TABLE (
+    id UUID,
+    trigger TEXT,
+    status TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    error TEXT,
+    profiles BIGINT,
+    posts_found BIGINT,
+    new_posts BIGINT,
+    events_created BIGINT,
+    outcomes JSONB
+) AS $$
+    WITH by_outcome AS (
+        SELECT ps.scan_run_id, ps.outcome,
+               COUNT(*) AS profiles,
+               SUM(ps.posts_found) AS posts_found,
+               SUM(ps.new_posts) AS new_posts,
+               SUM(ps.events_created) AS events_created,
+               MAX(ps.scanned_at) AS last_scanned_at
+        FROM profile_scans ps
+        WHERE ps.user_id = p_user_id AND (p_since IS NULL OR ps.scanned_at >= p_since)
+        GROUP BY ps.scan_run_id, ps.outcome
+    )
+    SELECT r.id, r.trigger, r.status, r.started_at, r.finished_at, r.error,
+           SUM(o.profiles)::BIGINT,
+           SUM(o.posts_found)::BIGINT,
+           SUM(o.new_posts)::BIGINT,
+           SUM(o.events_created)::BIGINT,
+           jsonb_object_agg(o.outcome, o.profiles)
+    FROM by_outcome o
+    JOIN scan_runs r ON r.id = o.scan_run_id
+    GROUP BY r.id
+    ORDER BY MAX(o.last_scanned_at) DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Durable background jobs (scheduled scans, campaign profile scans, engager scans)
+CREATE TABLE jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    lease_seconds INTEGER NOT NULL DEFAULT 900,
+    locked_by TEXT,
+    locked_until TIMESTAMP,
+    dedupe_key TEXT,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX idx_jobs_due ON jobs(status, run_at);
+-- One queued or running job per dedupe key
+CREATE UNIQUE INDEX idx_jobs_dedupe ON jobs(dedupe_key)
+    WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+
+-- Lock due jobs to a worker. Also reclaims running jobs whose lease ran out
+-- (the worker crashed or was redeployed), so they resume after a restart.
+CREATE OR REPLACE FUNCTION claim_jobs(p_worker TEXT, p_limit INTEGER)
+RETURNS SETOF jobs AS $$
+    UPDATE jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_by = p_worker,
+        locked_until = NOW() + make_interval(secs => lease_seconds),
+        updated_at = NOW()
+    WHERE id IN (
+        SELECT id FROM jobs
+        WHERE (status = 'queued' AND run_at <= NOW())
+           OR (status = 'running' AND locked_until < NOW())
+        ORDER BY run_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Claim profiles for scanning so replicas never scan the same profile twice.
+-- Only active profiles are due; with p_profile_ids, claims those profiles
+-- whether or not they are due or paused.
+DROP FUNCTION IF EXISTS claim_profiles_for_scan(TEXT, INTEGER, INTEGER, UUID);
+CREATE OR REPLACE FUNCTION claim_profiles_for_scan(
+    p_worker TEXT,
+    p_limit INTEGER,
+    p_lease_seconds INTEGER,
+    p_profile_ids UUID[] DEFAULT NULL
+)
+RETURNS SETOF UUID AS $$
+    UPDATE profiles
+    SET scan_claimed_by = p_worker,
+        scan_claimed_until = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE id IN (
+        SELECT id FROM profiles
+        WHERE (CASE WHEN p_profile_ids IS NULL THEN next_scan_at <= NOW() AND status = 'active' ELSE id = ANY(p_profile_ids) END)
+          AND (scan_claimed_until IS NULL OR scan_claimed_until < NOW())
+        ORDER BY next_scan_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id;
+$$ LANGUAGE sql;
+
+-- Named leases for leader election: one instance holds each lease at a time
+CREATE TABLE leader_leases (
+    name TEXT PRIMARY KEY,
+    holder TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Take or renew a lease. Returns true if p_holder now holds it.
+CREATE OR REPLACE FUNCTION acquire_leader_lease(p_name TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+    WITH acquired AS (
+        INSERT INTO leader_leases (name, holder, expires_at)
+        VALUES (p_name, p_holder, NOW() + make_interval(secs => p_ttl_seconds))
+        ON CONFLICT (name) DO UPDATE
+            SET holder = EXCLUDED.holder, expires_at = EXCLUDED.expires_at
+            WHERE leader_leases.holder = EXCLUDED.holder
+               OR leader_leases.expires_at < NOW()
+        RETURNING 1
+    )
+    SELECT EXISTS (SELECT 1 FROM acquired);
+$$ LANGUAGE sql;
+
+-- Campaign columns (campaigns table is managed in Supabase)
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS query TEXT;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS exclude_keywords JSONB NOT NULL DEFAULT '[]';
+-- Built-in template ids and/or signal_templates UUIDs
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS template_ids TEXT[] NOT NULL DEFAULT '{}';
 
 -- Optional: Function to generate API keys
 CREATE OR REPLACE FUNCTION generate_api_key()
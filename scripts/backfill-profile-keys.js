@@ -0,0 +1,65 @@
+// One-off migration: fill in profiles.profile_key and canonical linkedin_url
+// for profiles created before URLs were canonicalized. See MIGRATION_GUIDE.md.
+const { supabase } = require('../src/utils/db');
+const { canonicalizeProfileUrl } = require('../src/utils/linkedin-url');
+
+const PAGE_SIZE = 500;
+
+async function backfillProfileKeys() {
+  console.log('🔧 Backfilling profile keys...\n');
+
+  let lastId = null;
+  let updated = 0;
+  const invalid = [];
+
+  for (;;) {
+    let query = supabase
+      .from('profiles')
+      .select('id, linkedin_url')
+      .is('profile_key', null)
+      .order('id', { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: profiles, error } = await query;
+    if (error) throw new Error(`Failed to load profiles: ${error.message}`);
+    if (profiles.length === 0) break;
+
+    for (const profile of profiles) {
+      const canonical = canonicalizeProfileUrl(profile.linkedin_url);
+
+      if (!canonical) {
+        invalid.push(profile);
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from('profiles')
+        .update({ linkedin_url: canonical.url, profile_key: canonical.key })
+        .eq('id', profile.id);
+
+      if (updateError) {
+        throw new Error(`Failed to update profile ${profile.id}: ${updateError.message}`);
+      }
+      updated++;
+    }
+
+    lastId = profiles[profiles.length - 1].id;
+  }
+
+  console.log(`✅ ${updated} profiles updated`);
+
+  if (invalid.length > 0) {
+    console.log(`\n⚠️  ${invalid.length} profiles are not LinkedIn profile URLs and were left without a key.`);
+    console.log('Fix their linkedin_url and run this script again, or delete them:\n');
+    for (const profile of invalid) {
+      console.log(`  ${profile.id}  ${profile.linkedin_url}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+backfillProfileKeys().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+const express = require('express');
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const { authenticateApiKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /account/exclude-keywords
+ * Get the account-wide exclusion keywords (applied to every profile)
+ */
+router.get('/exclude-keywords', authenticateApiKey, async (req, res) => {
+  res.json({
+    success: true,
+    exclude_keywords: req.user.exclude_keywords || []
+  });
+});
+
+/**
+ * PUT /account/exclude-keywords
+ * Replace the account-wide exclusion keywords
+ */
+router.put('/exclude-keywords', authenticateApiKey, async (req, res) => {
+  try {
+    const { exclude_keywords } = req.body;
+
+    if (!Array.isArray(exclude_keywords) ||
+        exclude_keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      return res.status(400).json({
+        error: 'exclude_keywords must be an array of non-empty strings'
+      });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ exclude_keywords })
+      .eq('id', req.user.id);
+
+    if (error) {
+      logger.error('Failed to update exclude keywords', error);
+      return res.status(500).json({ error: 'Failed to update exclude keywords' });
+    }
+
+    logger.info('Account exclude keywords updated', {
+      userId: req.user.id,
+      count: exclude_keywords.length
+    });
+
+    res.json({
+      success: true,
+      exclude_keywords
+    });
+
+  } catch (error) {
+    logger.error('Error updating exclude keywords', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
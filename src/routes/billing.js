@@ -119,11 +119,11 @@ router.post('/create-subscription', authenticateApiKey, async (req, res) => {
 
 /**
  * POST /webhook
- * Configure webhook URL for the user
+ * Configure webhook URL (and optional minimum event score) for the user
  */
 router.post('/', authenticateApiKey, async (req, res) => {
   try {
-    const { webhook_url } = req.body;
+    const { webhook_url, min_score } = req.body;
 
     // Validation
     if (!webhook_url) {
@@ -141,10 +141,22 @@ router.post('/', authenticateApiKey, async (req, res) => {
       });
     }
 
+    if (min_score !== undefined &&
+        (!Number.isInteger(min_score) || min_score < 0 || min_score > 100)) {
+      return res.status(400).json({
+        error: 'min_score must be an integer between 0 and 100'
+      });
+    }
+
+    const updates = { webhook_url };
+    if (min_score !== undefined) {
+      updates.webhook_min_score = min_score;
+    }
+
     // Update user's webhook URL
     const { error } = await supabase
       .from('users')
-      .update({ webhook_url })
+      .update(updates)
       .eq('id', req.user.id);
 
     if (error) {
@@ -154,13 +166,15 @@ router.post('/', authenticateApiKey, async (req, res) => {
 
     logger.info('Webhook URL updated', { 
       userId: req.user.id, 
-      webhookUrl: webhook_url 
+      webhookUrl: webhook_url,
+      minScore: min_score
     });
 
     res.json({
       success: true,
       message: 'Webhook URL configured successfully',
-      webhook_url
+      webhook_url,
+      min_score: min_score !== undefined ? min_score : (req.user.webhook_min_score || 0)
     });
 
   } catch (error) {
@@ -4,6 +4,50 @@ const { authenticateApiKey: authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../utils/db');
 const logger = require('../utils/logger');
+const matchingService = require('../services/matching');
+const schedulerService = require('../services/scheduler');
+const signalTemplateService = require('../services/signal-templates');
+const profileRegistryService = require('../services/profile-registry');
+
+/**
+ * express-validator check for an optional boolean keyword query
+ */
+function validQuery(value) {
+  if (value === null) return true;
+  const queryError = matchingService.validateQuery(value);
+  if (queryError) {
+    throw new Error(`Invalid query: ${queryError}`);
+  }
+  return true;
+}
+
+/**
+ * Resolve the template ids sent on a campaign create/update
+ * @param {string} userId - User UUID
+ * @param {string[]} templateIds - Template ids sent
+ * @param {string|null} query - The campaign's query once saved
+ * @returns {Promise<object>} { fields } to store, or { error } for unknown ids
+ *   or templates whose combined query is invalid
+ */
+async function resolveCampaignTemplates(userId, templateIds, query) {
+  const { templates, missing } = await signalTemplateService.resolveTemplates(userId, templateIds);
+  if (missing.length > 0) {
+    return { error: `Unknown signal templates: ${missing.join(', ')}` };
+  }
+
+  const combinationError = signalTemplateService.validateCombination(templates, query);
+  if (combinationError) {
+    return { error: combinationError };
+  }
+
+  return {
+    fields: {
+      template_ids: [...new Set(templateIds)],
+      // Kept for older clients that read the built-in types off the campaign
+      signal_types: [...new Set(templateIds.filter(id => signalTemplateService.isBuiltIn(id)))]
+    }
+  };
+}
 
 // GET /campaigns - List all campaigns
 router.get('/', authenticateToken, async (req, res) => {
@@ -95,8 +139,14 @@ router.post(
   authenticateToken,
   [
     body('name').trim().notEmpty().withMessage('Campaign name is required'),
-    body('signal_types').isArray({ min: 1 }).withMessage('At least one signal type required'),
-    body('description').optional().trim()
+    body('template_ids').optional().isArray({ min: 1 }).withMessage('template_ids must be a non-empty array'),
+    body('template_ids.*').isString().trim().notEmpty(),
+    body('signal_types').optional().isArray({ min: 1 }).withMessage('signal_types must be a non-empty array'),
+    body('signal_types.*').isString().trim().notEmpty(),
+    body('description').optional().trim(),
+    body('query').optional({ values: 'null' }).custom(validQuery),
+    body('exclude_keywords').optional().isArray().withMessage('exclude_keywords must be an array'),
+    body('exclude_keywords.*').isString().trim().notEmpty()
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -108,7 +158,24 @@ router.post(
     }
 
     try {
-      const { name, description, signal_types } = req.body;
+      const { name, description, template_ids, signal_types, query, exclude_keywords } = req.body;
+
+      // signal_types is the older name for a list of built-in template ids
+      const templateIds = template_ids || signal_types;
+      if (!templateIds) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one signal template required'
+        });
+      }
+
+      const templates = await resolveCampaignTemplates(req.user.id, templateIds, query || null);
+      if (templates.error) {
+        return res.status(400).json({
+          success: false,
+          error: templates.error
+        });
+      }
 
       const { data: campaign, error } = await supabase
         .from('campaigns')
@@ -116,7 +183,9 @@ router.post(
           user_id: req.user.id,
           name,
           description: description || null,
-          signal_types,
+          ...templates.fields,
+          query: query || null,
+          exclude_keywords: exclude_keywords || [],
           status: 'active'
         })
         .select()
@@ -151,13 +220,66 @@ router.patch(
   [
     body('name').optional().trim().notEmpty(),
     body('description').optional().trim(),
-    body('signal_types').optional().isArray({ min: 1 }),
-    body('status').optional().isIn(['active', 'paused', 'completed', 'archived'])
+    body('template_ids').optional().isArray({ min: 1 }).withMessage('template_ids must be a non-empty array'),
+    body('template_ids.*').isString().trim().notEmpty(),
+    body('signal_types').optional().isArray({ min: 1 }).withMessage('signal_types must be a non-empty array'),
+    body('signal_types.*').isString().trim().notEmpty(),
+    body('status').optional().isIn(['active', 'paused', 'completed', 'archived']),
+    body('query').optional({ values: 'null' }).custom(validQuery),
+    body('exclude_keywords').optional().isArray().withMessage('exclude_keywords must be an array'),
+    body('exclude_keywords.*').isString().trim().notEmpty(),
+    body('backfill').optional().isBoolean()
   ],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const { template_ids, signal_types, backfill, ...updates } = req.body;
+
+      const templateIds = template_ids || signal_types;
+
+      // Member profiles hold a copy of the campaign's matching rules; the
+      // rules before this update tell that copy apart from edits made on a profile
+      const rulesChanged = Boolean(templateIds) || updates.query !== undefined;
+      let previous = null;
+      if (rulesChanged) {
+        const { data: before } = await supabase
+          .from('campaigns')
+          .select('*')
+          .eq('id', id)
+          .eq('user_id', req.user.id)
+          .maybeSingle();
+
+        if (!before) {
+          return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+          });
+        }
+
+        // The templates and query the campaign will have, checked together
+        const templates = await resolveCampaignTemplates(
+          req.user.id,
+          templateIds || signalTemplateService.campaignTemplateIds(before),
+          updates.query !== undefined ? updates.query : before.query
+        );
+        if (templates.error) {
+          return res.status(400).json({
+            success: false,
+            error: templates.error
+          });
+        }
+        if (templateIds) Object.assign(updates, templates.fields);
+
+        previous = await signalTemplateService.campaignMatching(req.user.id, before);
+      }
 
       const { data: campaign, error } = await supabase
         .from('campaigns')
@@ -179,9 +301,18 @@ router.patch(
 
       logger.info('Campaign updated', { campaignId: id });
 
+      let sync = null;
+      if (rulesChanged) {
+        sync = await signalTemplateService.syncCampaignProfiles(campaign, req.user, {
+          previous,
+          backfill: backfill === true || backfill === 'true'
+        });
+      }
+
       res.json({
         success: true,
-        campaign
+        campaign,
+        ...sync
       });
     } catch (error) {
       logger.error('Error updating campaign:', error);
@@ -257,7 +388,7 @@ router.get('/:id/signals', authenticateToken, async (req, res) => {
       profileSignals.map(async (ps) => {
         const { data: posts } = await supabase
           .from('events')
-          .select('id, keyword, post_url, post_date, snippet')
+          .select('id, matched_keywords, signal_types, post_url, post_date, snippet, score')
           .eq('profile_id', ps.profile_id)
           .order('post_date', { ascending: false });
 
@@ -314,133 +445,106 @@ router.post(
         });
       }
 
-      // Get keywords for signal types
-      const SIGNAL_TEMPLATES = {
-        track_all: [
-          'raised', 'seed round', 'series a', 'series b', 'funding', 'backed by', 'venture', 'investors',
-          'hiring sdr', 'hiring ae', 'building sales team', 'account executive',
-          'we\'re hiring', 'join our team', 'open positions', 'now hiring', 'recruiting',
-          'excited to announce', 'starting my new', 'joined', 'joining', 'new role',
-          'launching', 'just launched', 'now live', 'introducing',
-          'expanding to', 'new office', 'entering market'
-        ],
-        funding: ['raised', 'seed round', 'series a', 'series b', 'series c', 'funding', 'backed by', 'venture', 'investors', 'investment', 'closing our'],
-        hiring_sales: ['hiring sdr', 'hiring ae', 'building sales team', 'first sales hire', 'business development', 'account executive', 'sales development', 'looking for sales', 'join our sales team', 'sales manager', 'head of sales'],
-        hiring: ['we are hiring', 'we\'re hiring', 'join our team', 'looking for', 'open positions', 'now hiring', 'come work', 'join us', 'hiring for', 'seeking', 'recruiting', 'job opening', 'career opportunity', 'grow our team', 'expanding our team'],
-        new_role: ['excited to announce', 'thrilled to share', 'happy to share', 'pleased to announce', 'starting my new', 'joined', 'joining', 'new role', 'new position', 'new chapter', 'accepted a position', 'accepted an offer', 'stepping into', 'transition to', 'moving to'],
-        launch: ['launching', 'now live', 'beta', 'new product', 'introducing', 'excited to announce', 'just launched', 'available now', 'officially live', 'proud to announce'],
-        expansion: ['expanding to', 'entering market', 'scaling operations', 'growing team', 'new office', 'international expansion', 'opening office', 'global expansion', 'new market']
-      };
-
-      const allKeywords = campaign.signal_types.flatMap(type =>
-        SIGNAL_TEMPLATES[type] || []
+      // Keywords, queries and exclusions from the campaign's signal templates
+      const { templates } = await signalTemplateService.resolveTemplates(
+        req.user.id,
+        signalTemplateService.campaignTemplateIds(campaign)
       );
-
-      // Remove duplicates
-      const uniqueKeywords = [...new Set(allKeywords)];
+      const combinationError = signalTemplateService.validateCombination(templates, campaign.query);
+      if (combinationError) {
+        return res.status(400).json({
+          success: false,
+          error: combinationError
+        });
+      }
+      const matching = signalTemplateService.combineTemplates(templates, campaign.query);
+
+      // Canonicalize the URLs and skip profiles the user already monitors
+      const urlChecks = await profileRegistryService.classifyUrls(req.user.id, linkedin_urls);
+      const newProfiles = urlChecks.filter(check => check.status === 'new');
+
+      // Check plan limit (paused profiles don't count)
+      if (newProfiles.length > 0) {
+        const count = await profileRegistryService.countActive(req.user.id);
+
+        if (count + newProfiles.length > req.planLimit) {
+          return res.status(403).json({
+            success: false,
+            error: `Profile limit reached. Your ${req.user.plan} plan allows ${req.planLimit} profiles and ${count} are active, so ${Math.max(0, req.planLimit - count)} more can be added. Upgrade your plan to monitor more profiles.`,
+            current_count: count,
+            plan_limit: req.planLimit,
+            plan: req.user.plan
+          });
+        }
+      }
 
       // Add profiles
-      const profiles = linkedin_urls.map(url => ({
+      const profiles = newProfiles.map(check => ({
         user_id: req.user.id,
         campaign_id: campaignId,
-        linkedin_url: url,
-        keywords: uniqueKeywords,
+        linkedin_url: check.linkedin_url,
+        profile_key: check.profile_key,
+        keywords: matching.keywords,
+        query: matching.query,
+        exclude_keywords: matching.exclude_keywords,
+        match_mode: 'token',
         next_scan_at: new Date().toISOString()
       }));
 
-      const { data: addedProfiles, error } = await supabase
-        .from('profiles')
-        .insert(profiles)
-        .select();
+      let addedProfiles = [];
+      if (profiles.length > 0) {
+        const { data, error } = await supabase
+          .from('profiles')
+          .insert(profiles)
+          .select();
 
-      if (error) throw error;
+        if (error) throw error;
+        addedProfiles = data;
+      }
 
       logger.info('Profiles added to campaign', {
         campaignId,
-        count: addedProfiles.length
+        count: addedProfiles.length,
+        skipped: urlChecks.length - addedProfiles.length
       });
 
-      // 🔥 TRIGGER APIFY SCAN IMMEDIATELY IN BACKGROUND
-      const apifyService = require('../services/apify');
-      const matchingService = require('../services/matching');
-
-      // Process profiles in background (don't wait for response)
-      setImmediate(async () => {
-        for (const profile of addedProfiles) {
-          try {
-            logger.info('🚀 Starting Apify scan for profile', {
-              profileId: profile.id,
-              linkedinUrl: profile.linkedin_url
-            });
-
-            // scanProfiles takes an array and returns [{ linkedin_url, posts }]
-            const results = await apifyService.scanProfiles([profile.linkedin_url]);
-            const posts = results[0]?.posts || [];
-
-            logger.info('📊 Apify scan completed', {
-              profileId: profile.id,
-              postsFound: posts.length
-            });
-
-            // Match keywords against posts
-            for (const post of posts) {
-              const events = matchingService.processPost(
-                post,
-                profile.keywords,
-                profile.id
-              );
-
-              // Save matched events to database
-              if (events.length > 0) {
-                const { error: eventError } = await supabase
-                  .from('events')
-                  .insert(events);
-
-                if (eventError) {
-                  logger.error('Error saving events', {
-                    profileId: profile.id,
-                    error: eventError
-                  });
-                } else {
-                  logger.info('✅ Events saved', {
-                    profileId: profile.id,
-                    eventCount: events.length,
-                    keywords: events.map(e => e.keyword)
-                  });
-                }
-              }
-            }
-
-            // Update profile scan timestamp
-            await supabase
-              .from('profiles')
-              .update({
-                last_post_timestamp: new Date().toISOString(),
-                next_scan_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-              })
-              .eq('id', profile.id);
-
-          } catch (scanError) {
-            logger.error('❌ Error scanning profile', {
-              profileId: profile.id,
-              linkedinUrl: profile.linkedin_url,
-              error: scanError.message,
-              stack: scanError.stack
-            });
-          }
-        }
+      // What happened to each URL sent, in order
+      const addedByKey = new Map(addedProfiles.map(p => [p.profile_key, p]));
+      const results = urlChecks.map(check => ({
+        linkedin_url: check.input,
+        canonical_url: check.linkedin_url,
+        status: check.status === 'new' ? 'added' : check.status,
+        profile_id: check.status === 'new'
+          ? addedByKey.get(check.profile_key)?.id
+          : check.profile?.id || null,
+        campaign: check.status === 'new'
+          ? { id: campaign.id, name: campaign.name }
+          : check.campaign || null
+      }));
 
-        logger.info('🎯 Background scanning complete for campaign', {
-          campaignId,
-          profileCount: addedProfiles.length
-        });
-      });
+      // Queue a first scan of the new profiles as one job; the job worker runs
+      // it in the background and picks it up again if the server restarts.
+      // The profiles are due now, so the scheduler scans them if queueing fails.
+      if (addedProfiles.length > 0) {
+        try {
+          await schedulerService.enqueueProfileScans(addedProfiles.map(p => p.id));
+        } catch (enqueueError) {
+          logger.error('Failed to queue first profile scan', enqueueError, { campaignId });
+        }
+      }
 
       // Return success immediately (scanning happens in background)
-      res.status(201).json({
+      const alreadyMonitored = results.filter(r => r.status === 'already_monitored').length;
+
+      res.status(addedProfiles.length > 0 ? 201 : 200).json({
         success: true,
-        message: `${addedProfiles.length} profiles added. Scanning started in background...`,
-        profiles: addedProfiles
+        message: `${addedProfiles.length} profiles added. Scans queued...`,
+        added: addedProfiles.length,
+        already_monitored: alreadyMonitored,
+        duplicates: results.filter(r => r.status === 'duplicate').length,
+        invalid: results.filter(r => r.status === 'invalid').length,
+        profiles: addedProfiles,
+        results
       });
 
     } catch (error) {
@@ -521,7 +625,7 @@ router.get('/:id/stream', authenticateToken, async (req, res) => {
           // Get posts for this profile signal
           const { data: posts } = await supabase
             .from('events')
-            .select('id, keyword, post_url, post_date, snippet')
+            .select('id, matched_keywords, signal_types, post_url, post_date, snippet, score')
             .eq('profile_id', payload.new.profile_id)
             .order('post_date', { ascending: false });
 
@@ -100,6 +100,26 @@ router.post(
         return res.status(500).json({ success: false, error: 'Failed to create scan record' });
       }
 
+      // Queue the scan; the job worker runs it in the background and
+      // resumes it if the server restarts. The scan record exists either way,
+      // so a failure to queue shows up as a failed scan in its status.
+      try {
+        await engagersService.enqueueScan({
+          scan_id: scanId,
+          user_id: userId,
+          post_url,
+          engagement_types,
+          limit_per_type: limit_per_type || 10
+        });
+      } catch (enqueueError) {
+        logger.error('Failed to queue engager scan', enqueueError, { scanId });
+        try {
+          await engagersService.markScanFailed(scanId, enqueueError);
+        } catch (markError) {
+          logger.error('Failed to mark engager scan failed', markError, { scanId });
+        }
+      }
+
       // Send immediate response with scan ID
       res.status(202).json({
         success: true,
@@ -107,52 +127,6 @@ router.post(
         scan_id: scanId
       });
 
-      // Process scan in background
-      setImmediate(async () => {
-        try {
-          const onProgress = async (progress) => {
-            await supabase.from('engager_scans').update({
-              total_engagers: progress.total || 0,
-              profiles_enriched: progress.profiles_enriched || 0,
-              companies_enriched: progress.companies_enriched || 0
-            }).eq('id', scanId);
-          };
-
-          const result = await engagersService.scanPostEngagers(
-            post_url,
-            engagement_types,
-            limit_per_type,
-            onProgress
-          );
-
-          // Save complete results to Supabase
-          await engagersService.saveToSupabase(userId, scanId, {
-            postUrl: post_url,
-            engagementTypes: engagement_types,
-            limitPerType: limit_per_type || 10
-          }, result);
-
-          logger.info('Engager scan completed', {
-            scanId,
-            totalEngagers: result.engagers.length,
-            uniqueProfiles: result.uniqueProfiles
-          });
-
-        } catch (error) {
-          logger.error('Engager scan failed', {
-            scanId,
-            error: error.message,
-            stack: error.stack
-          });
-
-          const { supabase } = require('../config/supabase');
-          await supabase.from('engager_scans').update({
-            status: 'failed',
-            error_message: error.message
-          }).eq('id', scanId);
-        }
-      });
-
     } catch (error) {
       logger.error('Error starting engager scan:', error);
       res.status(500).json({
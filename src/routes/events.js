@@ -5,24 +5,61 @@ const { authenticateApiKey } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Columns of each response shape. "keyword" is the pre-post-level shape (one row
+// per matched keyword), served from the keyword_events compatibility view.
+const FORMATS = {
+  post: {
+    table: 'events',
+    columns: [
+      'id', 'matched_keywords', 'matched_clause', 'signal_types', 'post_url', 'post_date',
+      'hashtags', 'mentions', 'snippet', 'snippet_highlights', 'match_offsets', 'language', 'entities', 'score',
+      'detected_at'
+    ]
+  },
+  keyword: {
+    table: 'keyword_events',
+    columns: [
+      'id', 'keyword', 'matched_clause', 'matched_text', 'captures', 'post_url', 'post_date',
+      'snippet', 'snippet_highlights', 'match_offsets', 'language', 'entities', 'score',
+      'detected_at'
+    ]
+  }
+};
+
 /**
  * GET /events
- * Get events for authenticated user's profiles
+ * Get events for authenticated user's profiles (one per matched post)
  */
 router.get('/', authenticateApiKey, async (req, res) => {
   try {
-    const { since, limit = 50 } = req.query;
+    const {
+      since,
+      language,
+      signal_type,
+      min_score,
+      sort,
+      include_text,
+      format = 'post',
+      limit = 50
+    } = req.query;
+    const includeText = include_text === 'true';
+
+    if (sort !== undefined && !['detected_at', 'score'].includes(sort)) {
+      return res.status(400).json({ error: 'sort must be one of: detected_at, score' });
+    }
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: 'format must be one of: post, keyword' });
+    }
+
+    const { table, columns } = FORMATS[format];
+    const selected = includeText ? [...columns, 'post_text'] : columns;
 
     // Build query
     let query = supabase
-      .from('events')
+      .from(table)
       .select(`
-        id,
-        keyword,
-        post_url,
-        post_date,
-        snippet,
-        detected_at,
+        ${selected.join(',\n        ')},
         profiles!inner(
           id,
           linkedin_url,
@@ -30,9 +67,14 @@ router.get('/', authenticateApiKey, async (req, res) => {
         )
       `)
       .eq('profiles.user_id', req.user.id)
-      .order('detected_at', { ascending: false })
       .limit(parseInt(limit));
 
+    // Highest confidence first, newest first within the same score
+    if (sort === 'score') {
+      query = query.order('score', { ascending: false, nullsFirst: false });
+    }
+    query = query.order('detected_at', { ascending: false });
+
     // Optional: filter by timestamp
     if (since) {
       const sinceDate = new Date(since);
@@ -41,6 +83,28 @@ router.get('/', authenticateApiKey, async (req, res) => {
       }
     }
 
+    // Optional: only events at or above a confidence score (0-100)
+    if (min_score !== undefined) {
+      const minScore = parseInt(min_score, 10);
+      if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+        return res.status(400).json({ error: 'min_score must be an integer between 0 and 100' });
+      }
+      query = query.gte('score', minScore);
+    }
+
+    // Optional: filter by detected post language (ISO 639-1)
+    if (language) {
+      query = query.eq('language', language);
+    }
+
+    // Optional: only posts carrying this signal type, e.g. funding
+    if (signal_type) {
+      if (format !== 'post') {
+        return res.status(400).json({ error: 'signal_type is only supported with format=post' });
+      }
+      query = query.contains('signal_types', [signal_type]);
+    }
+
     const { data: events, error } = await query;
 
     if (error) {
@@ -49,18 +113,19 @@ router.get('/', authenticateApiKey, async (req, res) => {
     }
 
     // Transform response to cleaner format
-    const cleanEvents = events.map(event => ({
-      id: event.id,
-      keyword: event.keyword,
-      post_url: event.post_url,
-      post_date: event.post_date,
-      snippet: event.snippet,
-      detected_at: event.detected_at,
-      profile: {
+    const cleanEvents = events.map(event => {
+      const clean = {};
+      for (const column of selected) {
+        clean[column] = event[column];
+      }
+      clean.snippet_highlights = event.snippet_highlights || [];
+      clean.match_offsets = event.match_offsets || [];
+      clean.profile = {
         id: event.profiles.id,
         linkedin_url: event.profiles.linkedin_url
-      }
-    }));
+      };
+      return clean;
+    });
 
     res.json({
       success: true,
@@ -76,14 +141,14 @@ router.get('/', authenticateApiKey, async (req, res) => {
 
 /**
  * GET /events/stats
- * Get event statistics for the user
+ * Get event statistics for the user (events are matched posts)
  */
 router.get('/stats', authenticateApiKey, async (req, res) => {
   try {
     // Get total events count
     const { count: totalEvents, error: countError } = await supabase
       .from('events')
-      .select('id', { count: 'exact', head: true })
+      .select('id, profiles!inner(user_id)', { count: 'exact', head: true })
       .eq('profiles.user_id', req.user.id);
 
     if (countError) {
@@ -97,7 +162,7 @@ router.get('/stats', authenticateApiKey, async (req, res) => {
 
     const { count: recentEvents, error: recentError } = await supabase
       .from('events')
-      .select('id', { count: 'exact', head: true })
+      .select('id, profiles!inner(user_id)', { count: 'exact', head: true })
       .eq('profiles.user_id', req.user.id)
       .gte('detected_at', sevenDaysAgo.toISOString());
 
@@ -105,11 +170,27 @@ router.get('/stats', authenticateApiKey, async (req, res) => {
       logger.error('Failed to count recent events', recentError);
     }
 
+    // Break the last 7 days down by signal type and keyword (event_breakdown in schema.sql)
+    const { data: breakdown, error: breakdownError } = await supabase.rpc('event_breakdown', {
+      p_user_id: req.user.id,
+      p_since: sevenDaysAgo.toISOString()
+    });
+
+    if (breakdownError) {
+      logger.error('Failed to break down recent events', breakdownError);
+    }
+
+    const bySignalType = breakdown?.by_signal_type || {};
+    const byKeyword = breakdown?.by_keyword || {};
+
     res.json({
       success: true,
       stats: {
         total_events: totalEvents || 0,
-        events_last_7_days: recentEvents || 0
+        events_last_7_days: recentEvents || 0,
+        keyword_matches_last_7_days: Object.values(byKeyword).reduce((sum, n) => sum + n, 0),
+        by_signal_type: bySignalType,
+        by_keyword: byKeyword
       }
     });
 
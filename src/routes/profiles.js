@@ -4,32 +4,120 @@ const logger = require('../utils/logger');
 const { authenticateApiKey } = require('../middleware/auth');
 const apifyService = require('../services/apify');
 const matchingService = require('../services/matching');
+const extractionService = require('../services/extraction');
+const postStoreService = require('../services/post-store');
+const profileRegistryService = require('../services/profile-registry');
+const profileImportService = require('../services/profile-import');
+const signalTemplateService = require('../services/signal-templates');
+const { canonicalizeProfileUrl } = require('../utils/linkedin-url');
 
 const router = express.Router();
 
+// Whole-token matching is the default for profiles created from now on
+const DEFAULT_MATCH_MODE = 'token';
+
+// Paused profiles are skipped by scheduled scans
+const PROFILE_STATUSES = ['active', 'paused'];
+
+/**
+ * Validate the keywords/query pair sent on profile requests
+ * At least one of them must be present. On updates, pass the profile's current
+ * { keywords, query } as `current`: fields not sent keep their value, keywords: []
+ * and query: null clear them, and the profile must still have one or the other.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMatchingFields(keywords, query, { partial = false, current = null } = {}) {
+  if (!partial && !current && keywords === undefined && !query) {
+    return 'Missing required fields: keywords or query';
+  }
+
+  // An update may clear the keywords of a profile that keeps its query
+  const clearsKeywords = current && Array.isArray(keywords) && keywords.length === 0;
+  if (keywords !== undefined && !clearsKeywords) {
+    const keywordsError = matchingService.validateKeywords(keywords);
+    if (keywordsError) return keywordsError;
+  }
+
+  if (query !== undefined && query !== null) {
+    const queryError = matchingService.validateQuery(query);
+    if (queryError) {
+      return `Invalid query: ${queryError}`;
+    }
+  }
+
+  if (current) {
+    const resultingKeywords = keywords !== undefined ? keywords : current.keywords;
+    const resultingQuery = query !== undefined ? query : current.query;
+    if (!resultingKeywords?.length && !resultingQuery) {
+      return 'A profile needs keywords or a query; this update would leave it with neither';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an optional exclude_keywords list
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateExcludeKeywords(excludeKeywords) {
+  if (excludeKeywords === undefined) return null;
+
+  if (!Array.isArray(excludeKeywords) ||
+      excludeKeywords.some(k => typeof k !== 'string' || !k.trim())) {
+    return 'exclude_keywords must be an array of non-empty strings';
+  }
+
+  return null;
+}
+
+/**
+ * Response for adding a profile the user already monitors
+ * @param {object} urlCheck - From profileRegistryService.classifyUrls
+ */
+function alreadyMonitored(urlCheck) {
+  return {
+    success: true,
+    already_monitored: true,
+    message: urlCheck.campaign
+      ? `Profile is already monitored in campaign "${urlCheck.campaign.name}"`
+      : 'Profile is already monitored',
+    profile: urlCheck.profile,
+    campaign: urlCheck.campaign
+  };
+}
+
 /**
  * POST /profiles/test-scan
  * Immediately scan a LinkedIn profile and return results (for testing)
  */
 router.post('/test-scan', authenticateApiKey, async (req, res) => {
   try {
-    const { linkedin_url, keywords } = req.body;
+    const {
+      linkedin_url,
+      keywords,
+      query,
+      exclude_keywords,
+      match_mode = DEFAULT_MATCH_MODE
+    } = req.body;
 
     // Validation
-    if (!linkedin_url || !keywords) {
+    if (!linkedin_url) {
       return res.status(400).json({ 
-        error: 'Missing required fields: linkedin_url, keywords' 
+        error: 'Missing required fields: linkedin_url' 
       });
     }
 
-    if (!Array.isArray(keywords) || keywords.length === 0) {
-      return res.status(400).json({ 
-        error: 'keywords must be a non-empty array' 
-      });
+    const validationError = validateMatchingFields(keywords, query) ||
+      validateExcludeKeywords(exclude_keywords) ||
+      matchingService.validateMatchMode(match_mode);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     // Validate LinkedIn URL format
-    if (!linkedin_url.includes('linkedin.com/in/')) {
+    const canonical = canonicalizeProfileUrl(linkedin_url);
+    if (!canonical) {
       return res.status(400).json({ 
         error: 'Invalid LinkedIn URL. Must be a profile URL (linkedin.com/in/...)' 
       });
@@ -38,13 +126,24 @@ router.post('/test-scan', authenticateApiKey, async (req, res) => {
     logger.info('Test scan requested', { 
       userId: req.user.id, 
       linkedinUrl: linkedin_url,
-      keywords 
+      keywords,
+      query
+    });
+
+    const rules = matchingService.buildRules({
+      keywords,
+      query,
+      exclude_keywords,
+      match_mode,
+      users: req.user
     });
 
     // Scan with Apify immediately
     let scanResults;
     try {
-      scanResults = await apifyService.scanProfiles([linkedin_url]);
+      scanResults = await apifyService.scanProfiles([canonical.url], {
+        maxPosts: apifyService.postDepth(req.user.plan)
+      });
     } catch (error) {
       logger.error('Apify scan failed in test-scan', error);
       return res.status(500).json({ 
@@ -60,6 +159,7 @@ router.post('/test-scan', authenticateApiKey, async (req, res) => {
         message: 'No posts found for this profile',
         linkedin_url,
         keywords,
+        query,
         posts_found: 0,
         matches: []
       });
@@ -69,11 +169,20 @@ router.post('/test-scan', authenticateApiKey, async (req, res) => {
     const posts = result.posts || [];
 
     if (posts.length === 0) {
+      const messages = {
+        not_found: 'Profile not found',
+        private: 'Profile is private',
+        error: 'Profile could not be loaded'
+      };
+
       return res.json({
         success: true,
-        message: 'Profile found but no recent posts',
+        message: messages[result.status] || 'Profile found but no recent posts',
         linkedin_url,
         keywords,
+        query,
+        health: result.status || 'no_posts',
+        health_error: result.error || null,
         posts_found: 0,
         matches: []
       });
@@ -83,37 +192,85 @@ router.post('/test-scan', authenticateApiKey, async (req, res) => {
     const matches = [];
     
     for (const post of posts) {
-      const matchedKeywords = matchingService.findMatches(post.text, keywords);
+      const options = {
+        matchMode: rules.matchMode,
+        hashtags: post.hashtags,
+        mentions: post.mentions
+      };
+      const matchDetails = matchingService.findMatchDetails(post.text, rules.keywords, options);
+      const queryResult = matchingService.evaluateQuery(post.text, rules.query, options);
       
-      if (matchedKeywords.length > 0) {
+      if (matchDetails.length > 0 || queryResult.matched) {
+        const excludedBy = matchingService.findMatches(post.text, rules.excludeKeywords, options);
+        const entities = extractionService.extract(post.text);
+        const signals = matchDetails.length + (queryResult.matched ? 1 : 0);
+        const occurrences = [
+          ...matchDetails.flatMap(m => m.occurrences),
+          ...(queryResult.occurrences || [])
+        ];
+        const { snippet, highlights } = matchingService.highlightSnippet(post.text, occurrences);
+
         matches.push({
           post_url: post.post_url,
           post_date: post.post_date,
           post_text: post.text,
-          snippet: matchingService.extractSnippet(post.text),
-          matched_keywords: matchedKeywords
+          snippet,
+          snippet_highlights: highlights,
+          language: matchingService.detectLanguage(post.text),
+          matched_keywords: matchDetails.map(m => m.keyword),
+          // Literal text each keyword matched, e.g. { "hire": "hired" } with stemming
+          matched_text: Object.fromEntries(matchDetails.map(m => [m.keyword, m.occurrences[0].text])),
+          // Regex keywords only: every match with its captured groups
+          captures: Object.fromEntries(matchDetails
+            .filter(m => m.occurrences[0].groups)
+            .map(m => [m.keyword, m.occurrences.map(o => ({ match: o.text, groups: o.groups, named: o.named }))])),
+          matched_clause: queryResult.clause,
+          matched_terms: queryResult.terms,
+          entities,
+          signal_types: matchingService.classifySignals(matchDetails.map(m => m.keyword), entities, {
+            post,
+            matchMode: rules.matchMode
+          }),
+          // Confidence of each matched keyword, as the scheduler would store it
+          scores: Object.fromEntries(matchDetails.map(m => [m.keyword, matchingService.scoreMatch({
+            weight: m.weight,
+            signals,
+            position: m.occurrences[0].start / post.text.length,
+            entities
+          })])),
+          // Non-empty means the scheduler would suppress this match
+          excluded_by: excludedBy
         });
       }
     }
 
+    const matchesFound = matches.filter(m => m.excluded_by.length === 0).length;
+
     logger.info('Test scan completed', { 
       userId: req.user.id,
       postsFound: posts.length,
-      matchesFound: matches.length
+      matchesFound
     });
 
     res.json({
       success: true,
-      message: `Found ${posts.length} posts, ${matches.length} keyword matches`,
+      message: `Found ${posts.length} posts, ${matchesFound} keyword matches`,
       linkedin_url,
       keywords,
+      query,
+      match_mode,
       posts_found: posts.length,
-      matches_found: matches.length,
+      matches_found: matchesFound,
       matches,
       all_posts: posts.map(p => ({
         post_url: p.post_url,
         post_date: p.post_date,
-        snippet: matchingService.extractSnippet(p.text, 150)
+        snippet: matchingService.extractSnippet(p.text, 150),
+        language: matchingService.detectLanguage(p.text),
+        hashtags: p.hashtags || [],
+        mentions: p.mentions || [],
+        // Which keywords each match mode would have picked up in this post
+        matches_by_mode: keywords ? matchingService.compareMatchModes(p.text, keywords) : null
       }))
     });
 
@@ -126,41 +283,233 @@ router.post('/test-scan', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * POST /profiles/dry-run
+ * Replay proposed matching rules against stored posts, without calling Apify.
+ * Scope is one profile (profile_id), a campaign (campaign_id) or the whole account.
+ * Fields left out of the request keep each profile's current value.
+ */
+router.post('/dry-run', authenticateApiKey, async (req, res) => {
+  try {
+    const {
+      profile_id,
+      campaign_id,
+      since,
+      keywords,
+      query,
+      exclude_keywords,
+      match_mode,
+      languages
+    } = req.body;
+
+    if (keywords === undefined && query === undefined && exclude_keywords === undefined &&
+        match_mode === undefined && languages === undefined) {
+      return res.status(400).json({
+        error: 'Nothing to try. Send keywords, query, exclude_keywords, match_mode and/or languages'
+      });
+    }
+
+    if (profile_id && campaign_id) {
+      return res.status(400).json({ error: 'Send either profile_id or campaign_id, not both' });
+    }
+
+    const validationError = validateMatchingFields(keywords, query, { partial: true }) ||
+      validateExcludeKeywords(exclude_keywords) ||
+      (match_mode !== undefined ? matchingService.validateMatchMode(match_mode) : null) ||
+      (languages ? matchingService.validateLanguages(languages) : null);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let sinceDate = null;
+    if (since) {
+      sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ error: 'since must be an ISO timestamp' });
+      }
+    }
+
+    let profileQuery = supabase
+      .from('profiles')
+      .select(`
+        id,
+        linkedin_url,
+        keywords,
+        query,
+        exclude_keywords,
+        match_mode,
+        languages,
+        campaigns(exclude_keywords, template_ids, signal_types)
+      `)
+      .eq('user_id', req.user.id);
+
+    if (profile_id) profileQuery = profileQuery.eq('id', profile_id);
+    if (campaign_id) profileQuery = profileQuery.eq('campaign_id', campaign_id);
+
+    const { data: profiles, error } = await profileQuery;
+
+    if (error) {
+      logger.error('Failed to fetch profiles for dry run', error);
+      return res.status(500).json({ error: 'Failed to fetch profiles' });
+    }
+
+    if ((profile_id || campaign_id) && profiles.length === 0) {
+      return res.status(404).json({
+        error: profile_id ? 'Profile not found or unauthorized' : 'Campaign not found or has no profiles'
+      });
+    }
+
+    const { posts, truncated } = await postStoreService.getPosts(
+      profiles.map(p => p.id),
+      { since: sinceDate ? sinceDate.toISOString() : null }
+    );
+
+    // Current rules per profile, and the same profile with the proposed fields applied
+    const overrides = {};
+    if (keywords !== undefined) overrides.keywords = keywords;
+    if (query !== undefined) overrides.query = query;
+    if (exclude_keywords !== undefined) overrides.exclude_keywords = exclude_keywords;
+    if (match_mode !== undefined) overrides.match_mode = match_mode;
+    if (languages !== undefined) overrides.languages = languages;
+
+    // Campaign templates, so events are tagged with the user-defined ones that match
+    const campaignTemplateIds = profile => profile.campaigns
+      ? signalTemplateService.campaignTemplateIds(profile.campaigns)
+      : [];
+    let templatesById;
+    try {
+      const { templates } = await signalTemplateService.resolveTemplates(
+        req.user.id,
+        profiles.flatMap(campaignTemplateIds)
+      );
+      templatesById = new Map(templates.map(t => [t.id, t]));
+    } catch (templateError) {
+      logger.error('Failed to load signal templates for dry run', templateError);
+      return res.status(500).json({ error: 'Failed to load signal templates' });
+    }
+
+    const rulesByProfile = {};
+    for (const profile of profiles) {
+      const withAccount = { ...profile, users: req.user };
+      const templates = campaignTemplateIds(profile).map(id => templatesById.get(id)).filter(Boolean);
+      rulesByProfile[profile.id] = {
+        profile,
+        current: matchingService.buildRules(withAccount, templates),
+        proposed: matchingService.buildRules({ ...withAccount, ...overrides }, templates)
+      };
+    }
+
+    const wouldMatch = [];
+    const newlyMatched = [];
+    const stoppedMatching = [];
+
+    for (const post of posts) {
+      const { profile, current, proposed } = rulesByProfile[post.profile_id];
+      const silent = { silent: true };
+      const before = matchingService.processPost(post, current, profile.id, silent);
+      const after = matchingService.processPost(post, proposed, profile.id, silent);
+
+      const summarize = event => ({
+        profile_id: profile.id,
+        linkedin_url: profile.linkedin_url,
+        post_url: post.post_url,
+        post_date: post.post_date,
+        matched_keywords: event.matched_keywords.map(m => m.keyword),
+        signal_types: event.signal_types,
+        score: event.score,
+        snippet: event.snippet
+      });
+
+      if (after) {
+        wouldMatch.push(summarize(after));
+        if (!before) newlyMatched.push(summarize(after));
+      } else if (before) {
+        stoppedMatching.push(summarize(before));
+      }
+    }
+
+    logger.info('Dry run completed', {
+      userId: req.user.id,
+      profiles: profiles.length,
+      posts: posts.length,
+      truncated,
+      wouldMatch: wouldMatch.length,
+      newlyMatched: newlyMatched.length,
+      stoppedMatching: stoppedMatching.length
+    });
+
+    res.json({
+      success: true,
+      scope: profile_id ? 'profile' : campaign_id ? 'campaign' : 'account',
+      profiles_checked: profiles.length,
+      posts_checked: posts.length,
+      posts_truncated: truncated,
+      summary: {
+        would_match: wouldMatch.length,
+        newly_matched: newlyMatched.length,
+        stopped_matching: stoppedMatching.length
+      },
+      would_match: wouldMatch,
+      newly_matched: newlyMatched,
+      stopped_matching: stoppedMatching
+    });
+
+  } catch (error) {
+    logger.error('Error in dry-run endpoint', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /profiles
  * Create a new profile to monitor
  */
 router.post('/', authenticateApiKey, async (req, res) => {
   try {
-    const { linkedin_url, keywords } = req.body;
+    const {
+      linkedin_url,
+      keywords,
+      query,
+      exclude_keywords,
+      match_mode = DEFAULT_MATCH_MODE,
+      languages,
+      post_depth
+    } = req.body;
 
     // Validation
-    if (!linkedin_url || !keywords) {
+    if (!linkedin_url) {
       return res.status(400).json({ 
-        error: 'Missing required fields: linkedin_url, keywords' 
+        error: 'Missing required fields: linkedin_url' 
       });
     }
 
-    if (!Array.isArray(keywords) || keywords.length === 0) {
-      return res.status(400).json({ 
-        error: 'keywords must be a non-empty array' 
-      });
+    const validationError = validateMatchingFields(keywords, query) ||
+      validateExcludeKeywords(exclude_keywords) ||
+      matchingService.validateMatchMode(match_mode) ||
+      (languages ? matchingService.validateLanguages(languages) : null) ||
+      (post_depth != null ? apifyService.validatePostDepth(post_depth, req.user.plan) : null);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Validate LinkedIn URL format
-    if (!linkedin_url.includes('linkedin.com/in/')) {
+    // Validate and canonicalize the LinkedIn URL, and check it isn't monitored already
+    const [urlCheck] = await profileRegistryService.classifyUrls(req.user.id, [linkedin_url]);
+
+    if (urlCheck.status === 'invalid') {
       return res.status(400).json({ 
         error: 'Invalid LinkedIn URL. Must be a profile URL (linkedin.com/in/...)' 
       });
     }
 
-    // Check plan limit
-    const { count, error: countError } = await supabase
-      .from('profiles')
-      .select('id', { count: 'exact', head: true })
-      .eq('user_id', req.user.id);
+    if (urlCheck.status === 'already_monitored') {
+      return res.json(alreadyMonitored(urlCheck));
+    }
 
-    if (countError) {
+    // Check plan limit (paused profiles don't count)
+    let count;
+    try {
+      count = await profileRegistryService.countActive(req.user.id);
+    } catch (countError) {
       logger.error('Failed to count profiles', countError);
       return res.status(500).json({ error: 'Failed to check profile limit' });
     }
@@ -179,14 +528,27 @@ router.post('/', authenticateApiKey, async (req, res) => {
       .from('profiles')
       .insert({
         user_id: req.user.id,
-        linkedin_url,
-        keywords,
+        linkedin_url: urlCheck.linkedin_url,
+        profile_key: urlCheck.profile_key,
+        keywords: keywords || [],
+        query: query || null,
+        exclude_keywords: exclude_keywords || [],
+        match_mode,
+        languages: languages || null,
+        post_depth: post_depth || null,
         next_scan_at: new Date().toISOString() // Scan ASAP
       })
       .select()
       .single();
 
     if (insertError) {
+      // Added by a concurrent request since the check above
+      if (insertError.code === '23505') {
+        const [existing] = await profileRegistryService.classifyUrls(req.user.id, [linkedin_url]);
+        if (existing.status === 'already_monitored') {
+          return res.json(alreadyMonitored(existing));
+        }
+      }
       logger.error('Failed to create profile', insertError);
       return res.status(500).json({ error: 'Failed to create profile' });
     }
@@ -198,10 +560,16 @@ router.post('/', authenticateApiKey, async (req, res) => {
 
     res.status(201).json({
       success: true,
+      already_monitored: false,
       profile: {
         id: profile.id,
         linkedin_url: profile.linkedin_url,
         keywords: profile.keywords,
+        query: profile.query,
+        exclude_keywords: profile.exclude_keywords,
+        match_mode: profile.match_mode,
+        languages: profile.languages,
+        post_depth: apifyService.postDepth(req.user.plan, profile.post_depth),
         created_at: profile.created_at
       }
     });
@@ -212,28 +580,207 @@ router.post('/', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * POST /profiles/import
+ * Add many profiles at once from a CSV file (Content-Type: text/csv), or JSON
+ * { csv } or { profiles: [...] }. Returns a report per row; imports over
+ * 100 rows run in the background, see GET /profiles/imports/:id.
+ */
+router.post('/import', authenticateApiKey, async (req, res) => {
+  try {
+    const isCsv = typeof req.body === 'string';
+    const input = isCsv
+      ? { csv: req.body }
+      : Array.isArray(req.body) ? { profiles: req.body } : req.body || {};
+
+    const { rows, error: parseError } = profileImportService.parseRows(input);
+    if (parseError) {
+      return res.status(400).json({ error: parseError });
+    }
+
+    const source = isCsv || typeof input.csv === 'string' ? 'csv' : 'json';
+    const { import: profileImport, report } = await profileImportService.createImport(req.user, rows, source);
+
+    logger.info('Profile import started', {
+      importId: profileImport.id,
+      userId: req.user.id,
+      rows: rows.length,
+      status: profileImport.status
+    });
+
+    if (!report) {
+      return res.status(202).json({
+        success: true,
+        message: `Importing ${rows.length} profiles in the background`,
+        import: profileImport
+      });
+    }
+
+    res.json({
+      success: true,
+      import: profileImport,
+      ...report
+    });
+
+  } catch (error) {
+    logger.error('Error importing profiles', error);
+    res.status(500).json({ error: 'Failed to import profiles' });
+  }
+});
+
+/**
+ * GET /profiles/imports/:id
+ * Status of an import and, once it has run, its per-row report
+ */
+router.get('/imports/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const { data: profileImport, error } = await supabase
+      .from('profile_imports')
+      .select('id, status, source, total_rows, accepted_rows, rejected_rows, report, error, created_at, completed_at')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to fetch profile import', error);
+      return res.status(500).json({ error: 'Failed to fetch import' });
+    }
+
+    if (!profileImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    const { report, ...summary } = profileImport;
+
+    res.json({
+      success: true,
+      import: summary,
+      rows: report
+    });
+
+  } catch (error) {
+    logger.error('Error fetching profile import', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /profiles/pause
+ * Stop scanning profiles, chosen by profile_ids or label. Their events are kept.
+ */
+router.post('/pause', authenticateApiKey, async (req, res) => {
+  try {
+    const { profile_ids, label } = req.body;
+
+    const validationError = profileRegistryService.validateSelection({ profile_ids, label });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const paused = await profileRegistryService.pause(req.user.id, { profile_ids, label });
+
+    logger.info('Profiles paused', { userId: req.user.id, count: paused.length });
+
+    res.json({
+      success: true,
+      paused: paused.length,
+      profile_ids: paused
+    });
+
+  } catch (error) {
+    logger.error('Error pausing profiles', error);
+    res.status(500).json({ error: 'Failed to pause profiles' });
+  }
+});
+
+/**
+ * POST /profiles/resume
+ * Resume paused profiles, chosen by profile_ids or label, as far as the plan
+ * limit allows
+ */
+router.post('/resume', authenticateApiKey, async (req, res) => {
+  try {
+    const { profile_ids, label } = req.body;
+
+    const validationError = profileRegistryService.validateSelection({ profile_ids, label });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { resumed, not_resumed } = await profileRegistryService.resume(
+      req.user.id,
+      { profile_ids, label },
+      req.planLimit
+    );
+
+    logger.info('Profiles resumed', {
+      userId: req.user.id,
+      count: resumed.length,
+      overLimit: not_resumed.length
+    });
+
+    const response = {
+      success: true,
+      resumed: resumed.length,
+      profile_ids: resumed
+    };
+
+    if (not_resumed.length > 0) {
+      response.not_resumed = not_resumed;
+      response.message = `Profile limit reached. Your ${req.user.plan} plan allows ${req.planLimit} active profiles; ${not_resumed.length} profiles are still paused.`;
+      response.plan_limit = req.planLimit;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Error resuming profiles', error);
+    res.status(500).json({ error: 'Failed to resume profiles' });
+  }
+});
+
 /**
  * GET /profiles
- * Get all profiles for the authenticated user
+ * Get all profiles for the authenticated user, optionally only those with a
+ * label or status
  */
 router.get('/', authenticateApiKey, async (req, res) => {
   try {
-    const { data: profiles, error } = await supabase
+    let query = supabase
       .from('profiles')
-      .select('id, linkedin_url, keywords, last_post_timestamp, next_scan_at, created_at')
+      .select('id, linkedin_url, keywords, query, exclude_keywords, match_mode, languages, labels, last_post_timestamp, post_interval_hours, scan_interval_hours, post_depth, next_scan_at, status, paused_reason, health, health_error, consecutive_failures, health_checked_at, created_at')
       .eq('user_id', req.user.id)
       .order('created_at', { ascending: false });
 
+    if (req.query.label) {
+      query = query.contains('labels', [req.query.label]);
+    }
+
+    if (req.query.status) {
+      if (!PROFILE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${PROFILE_STATUSES.join(', ')}` });
+      }
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: profiles, error } = await query;
+
     if (error) {
       logger.error('Failed to fetch profiles', error);
       return res.status(500).json({ error: 'Failed to fetch profiles' });
     }
 
+    const activeCount = await profileRegistryService.countActive(req.user.id);
+
     res.json({
       success: true,
       count: profiles.length,
+      active_count: activeCount,
       plan_limit: req.planLimit,
-      profiles
+      profiles: profiles.map(profile => ({
+        ...profile,
+        post_depth: apifyService.postDepth(req.user.plan, profile.post_depth)
+      }))
     });
 
   } catch (error) {
@@ -242,6 +789,71 @@ router.get('/', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * GET /profiles/:id/scans
+ * Scan log for one profile: when it was scanned and what happened, newest first
+ */
+router.get('/:id/scans', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50 } = req.query;
+
+    const scanLimit = parseInt(limit);
+    if (isNaN(scanLimit) || scanLimit < 1 || scanLimit > 200) {
+      return res.status(400).json({ error: 'limit must be an integer from 1 to 200' });
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, linkedin_url, last_post_timestamp, next_scan_at')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (profileError) {
+      logger.error('Failed to fetch profile', profileError);
+      return res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const { data: scans, error } = await supabase
+      .from('profile_scans')
+      .select(`
+        id,
+        outcome,
+        posts_found,
+        new_posts,
+        events_created,
+        error,
+        scanned_at,
+        scan_runs(id, trigger, status, started_at, finished_at)
+      `)
+      .eq('profile_id', id)
+      .order('scanned_at', { ascending: false })
+      .limit(scanLimit);
+
+    if (error) {
+      logger.error('Failed to fetch profile scans', error);
+      return res.status(500).json({ error: 'Failed to fetch profile scans' });
+    }
+
+    res.json({
+      success: true,
+      profile,
+      last_scanned_at: scans[0]?.scanned_at || null,
+      count: scans.length,
+      scans: scans.map(({ scan_runs: run, ...scan }) => ({ ...scan, run }))
+    });
+
+  } catch (error) {
+    logger.error('Error fetching profile scans', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * DELETE /profiles/:id
  * Delete a profile
@@ -285,26 +897,107 @@ router.delete('/:id', authenticateApiKey, async (req, res) => {
 
 /**
  * PATCH /profiles/:id
- * Update profile keywords
+ * Update profile keywords, query (send query: null to clear it), exclude_keywords,
+ * match_mode, languages, post_depth (null for the plan default) and/or status. Setting status to 'active' resumes a
+ * paused profile with a clean health record and scans it on the next tick.
  */
 router.patch('/:id', authenticateApiKey, async (req, res) => {
   try {
     const { id } = req.params;
-    const { keywords } = req.body;
+    const { keywords, query, exclude_keywords, match_mode, languages, post_depth, status } = req.body;
 
-    if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
-      return res.status(400).json({ 
-        error: 'keywords must be a non-empty array' 
+    if (keywords === undefined && query === undefined && exclude_keywords === undefined &&
+        match_mode === undefined && languages === undefined && post_depth === undefined &&
+        status === undefined) {
+      return res.status(400).json({
+        error: 'Nothing to update. Send keywords, query, exclude_keywords, match_mode, languages, post_depth and/or status'
       });
     }
 
-    const { data, error } = await supabase
-      .from('profiles')
-      .update({ keywords })
+    if (status !== undefined && !PROFILE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${PROFILE_STATUSES.join(', ')}` });
+    }
+
+    // The profile's matching fields after the update are validated as a whole
+    let current = null;
+    if (keywords !== undefined || query !== undefined) {
+      const { data, error: currentError } = await supabase
+        .from('profiles')
+        .select('keywords, query')
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (currentError) {
+        logger.error('Failed to fetch profile', currentError);
+        return res.status(500).json({ error: 'Failed to update profile' });
+      }
+
+      if (!data) {
+        return res.status(404).json({ error: 'Profile not found or unauthorized' });
+      }
+      current = data;
+    }
+
+    const validationError = (current ? validateMatchingFields(keywords, query, { current }) : null) ||
+      validateExcludeKeywords(exclude_keywords) ||
+      (match_mode !== undefined ? matchingService.validateMatchMode(match_mode) : null) ||
+      (languages ? matchingService.validateLanguages(languages) : null) ||
+      (post_depth != null ? apifyService.validatePostDepth(post_depth, req.user.plan) : null);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = {};
+    if (keywords !== undefined) updates.keywords = keywords;
+    if (query !== undefined) updates.query = query;
+    if (exclude_keywords !== undefined) updates.exclude_keywords = exclude_keywords;
+    if (match_mode !== undefined) updates.match_mode = match_mode;
+    if (languages !== undefined) updates.languages = languages; // null removes the filter
+    if (post_depth !== undefined) updates.post_depth = post_depth; // null restores the plan default
+
+    if (status === 'paused') {
+      updates.status = 'paused';
+      updates.paused_reason = 'user';
+    } else if (status === 'active') {
+      const { data: current, error: currentError } = await supabase
+        .from('profiles')
+        .select('status')
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (currentError) {
+        logger.error('Failed to fetch profile', currentError);
+        return res.status(500).json({ error: 'Failed to update profile' });
+      }
+
+      if (!current) {
+        return res.status(404).json({ error: 'Profile not found or unauthorized' });
+      }
+
+      // Only a paused profile is resumed; an active one keeps its health and schedule
+      if (current.status === 'paused') {
+        // Resuming takes a slot of the plan's profile limit
+        if (await profileRegistryService.countActive(req.user.id) >= req.planLimit) {
+          return res.status(403).json({
+            error: `Profile limit reached. Your ${req.user.plan} plan allows ${req.planLimit} active profiles. Pause another profile or upgrade your plan.`,
+            plan_limit: req.planLimit,
+            plan: req.user.plan
+          });
+        }
+
+        Object.assign(updates, profileRegistryService.resumeUpdates());
+      }
+    }
+
+    // Resuming a profile that is already active leaves nothing to change
+    const table = supabase.from('profiles');
+    const { data, error } = await (Object.keys(updates).length > 0 ? table.update(updates) : table)
+      .select()
       .eq('id', id)
       .eq('user_id', req.user.id)
-      .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
       logger.error('Failed to update profile', error);
@@ -323,6 +1016,14 @@ router.patch('/:id', authenticateApiKey, async (req, res) => {
         id: data.id,
         linkedin_url: data.linkedin_url,
         keywords: data.keywords,
+        query: data.query,
+        exclude_keywords: data.exclude_keywords,
+        match_mode: data.match_mode,
+        languages: data.languages,
+        post_depth: apifyService.postDepth(req.user.plan, data.post_depth),
+        status: data.status,
+        paused_reason: data.paused_reason,
+        health: data.health,
         updated_at: new Date().toISOString()
       }
     });
@@ -0,0 +1,67 @@
+const express = require('express');
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const { authenticateApiKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /scans
+ * Scan runs that included the user's profiles, newest first. Counts cover
+ * only the user's own profiles in each run.
+ */
+router.get('/', authenticateApiKey, async (req, res) => {
+  try {
+    const { since, limit = 20 } = req.query;
+
+    const runLimit = parseInt(limit);
+    if (isNaN(runLimit) || runLimit < 1 || runLimit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer from 1 to 100' });
+    }
+
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ error: 'since must be an ISO timestamp' });
+    }
+
+    // Runs with totals over the user's profiles (user_scan_runs in schema.sql)
+    const { data: runs, error } = await supabase.rpc('user_scan_runs', {
+      p_user_id: req.user.id,
+      p_since: since ? new Date(since).toISOString() : null,
+      p_limit: runLimit
+    });
+
+    if (error) {
+      logger.error('Failed to fetch scans', error);
+      return res.status(500).json({ error: 'Failed to fetch scans' });
+    }
+
+    const scans = (runs || []).map(run => ({
+      id: run.id,
+      trigger: run.trigger,
+      status: run.status,
+      started_at: run.started_at,
+      finished_at: run.finished_at,
+      error: run.error,
+      duration_ms: run.finished_at
+        ? new Date(run.finished_at) - new Date(run.started_at)
+        : null,
+      profiles: Number(run.profiles),
+      posts_found: Number(run.posts_found),
+      new_posts: Number(run.new_posts),
+      events_created: Number(run.events_created),
+      outcomes: run.outcomes
+    }));
+
+    res.json({
+      success: true,
+      count: scans.length,
+      scans
+    });
+
+  } catch (error) {
+    logger.error('Error fetching scans', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,316 @@
+const express = require('express');
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const { authenticateApiKey } = require('../middleware/auth');
+const matchingService = require('../services/matching');
+const signalTemplateService = require('../services/signal-templates');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate the fields of a template create/update
+ * @param {object} fields - { name, keywords, query, exclude_keywords }
+ * @param {object} options - { partial } when only some fields are being updated
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTemplate({ name, keywords, query, exclude_keywords }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+
+  if (!partial && keywords === undefined && !query) {
+    return 'Missing required fields: keywords or query';
+  }
+
+  if (keywords !== undefined) {
+    const keywordsError = matchingService.validateKeywords(keywords);
+    if (keywordsError) return keywordsError;
+  }
+
+  if (query !== undefined && query !== null) {
+    const queryError = matchingService.validateQuery(query);
+    if (queryError) return `Invalid query: ${queryError}`;
+  }
+
+  if (exclude_keywords !== undefined &&
+      (!Array.isArray(exclude_keywords) ||
+       exclude_keywords.some(k => typeof k !== 'string' || !k.trim()))) {
+    return 'exclude_keywords must be an array of non-empty strings';
+  }
+
+  return null;
+}
+
+/**
+ * GET /signal-templates
+ * List the built-in templates and the user's own
+ */
+router.get('/', authenticateApiKey, async (req, res) => {
+  try {
+    const templates = await signalTemplateService.listTemplates(req.user.id);
+
+    res.json({
+      success: true,
+      templates
+    });
+
+  } catch (error) {
+    logger.error('Error fetching signal templates', error);
+    res.status(500).json({ error: 'Failed to fetch signal templates' });
+  }
+});
+
+/**
+ * GET /signal-templates/:id
+ * Get one template by built-in id or UUID
+ */
+router.get('/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const { templates } = await signalTemplateService.resolveTemplates(req.user.id, [req.params.id]);
+
+    if (templates.length === 0) {
+      return res.status(404).json({ error: 'Signal template not found' });
+    }
+
+    res.json({
+      success: true,
+      template: templates[0]
+    });
+
+  } catch (error) {
+    logger.error('Error fetching signal template', error);
+    res.status(500).json({ error: 'Failed to fetch signal template' });
+  }
+});
+
+/**
+ * POST /signal-templates
+ * Create a user-defined template
+ */
+router.post('/', authenticateApiKey, async (req, res) => {
+  try {
+    const { name, keywords, query, exclude_keywords } = req.body;
+
+    const validationError = validateTemplate({ name, keywords, query, exclude_keywords });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: template, error } = await supabase
+      .from('signal_templates')
+      .insert({
+        user_id: req.user.id,
+        name: name.trim(),
+        keywords: keywords || [],
+        query: query || null,
+        exclude_keywords: exclude_keywords || []
+      })
+      .select('id, name, keywords, query, exclude_keywords, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A signal template with this name already exists' });
+      }
+      logger.error('Failed to create signal template', error);
+      return res.status(500).json({ error: 'Failed to create signal template' });
+    }
+
+    logger.info('Signal template created', {
+      templateId: template.id,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      template: { ...template, built_in: false }
+    });
+
+  } catch (error) {
+    logger.error('Error creating signal template', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /signal-templates/:id
+ * Update a user-defined template. Built-in templates are read-only.
+ */
+router.patch('/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, keywords, query, exclude_keywords, backfill = false } = req.body;
+
+    if (signalTemplateService.isBuiltIn(id)) {
+      return res.status(403).json({ error: 'Built-in signal templates cannot be changed' });
+    }
+
+    if (typeof backfill !== 'boolean') {
+      return res.status(400).json({ error: 'backfill must be a boolean' });
+    }
+
+    const validationError = validateTemplate(
+      { name, keywords, query, exclude_keywords },
+      { partial: true }
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { templates } = await signalTemplateService.resolveTemplates(req.user.id, [id]);
+    if (templates.length === 0) {
+      return res.status(404).json({ error: 'Signal template not found' });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (keywords !== undefined) updates.keywords = keywords;
+    if (query !== undefined) updates.query = query || null;
+    if (exclude_keywords !== undefined) updates.exclude_keywords = exclude_keywords;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    // A template must still match something after the update
+    const resultingKeywords = updates.keywords !== undefined ? updates.keywords : templates[0].keywords;
+    const resultingQuery = updates.query !== undefined ? updates.query : templates[0].query;
+    if ((!resultingKeywords || resultingKeywords.length === 0) && !resultingQuery) {
+      return res.status(400).json({ error: 'A signal template needs keywords or a query' });
+    }
+
+    // Campaigns using the template, checked with its new version before anything is written
+    const { data: campaigns, error: campaignsError } = await supabase
+      .from('campaigns')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .contains('template_ids', [id]);
+
+    if (campaignsError) {
+      logger.error('Failed to load campaigns for signal template', campaignsError);
+      return res.status(500).json({ error: 'Failed to update signal template' });
+    }
+
+    const updated = { ...templates[0], ...updates };
+    for (const campaign of campaigns) {
+      const { templates: campaignTemplates } = await signalTemplateService.resolveTemplates(
+        req.user.id,
+        signalTemplateService.campaignTemplateIds(campaign)
+      );
+      const combinationError = signalTemplateService.validateCombination(
+        campaignTemplates.map(t => (t.id === id ? updated : t)),
+        campaign.query
+      );
+      if (combinationError) {
+        return res.status(400).json({ error: `Campaign ${campaign.name}: ${combinationError}` });
+      }
+    }
+
+    updates.updated_at = new Date().toISOString();
+
+    const { data: template, error } = await supabase
+      .from('signal_templates')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id, name, keywords, query, exclude_keywords, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A signal template with this name already exists' });
+      }
+      logger.error('Failed to update signal template', error);
+      return res.status(500).json({ error: 'Failed to update signal template' });
+    }
+
+    logger.info('Signal template updated', { templateId: id, userId: req.user.id });
+
+    // Re-keyword the profiles of every campaign using this template
+    const campaignResults = [];
+    for (const campaign of campaigns) {
+      // The rules its profiles were given, with the template as it was before this update
+      const previous = await signalTemplateService.campaignMatching(req.user.id, campaign, { [id]: templates[0] });
+      const sync = await signalTemplateService.syncCampaignProfiles(campaign, req.user, { previous, backfill });
+      campaignResults.push({ campaign_id: campaign.id, ...sync });
+    }
+
+    res.json({
+      success: true,
+      template: { ...template, built_in: false },
+      campaigns: campaignResults
+    });
+
+  } catch (error) {
+    logger.error('Error updating signal template', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /signal-templates/:id
+ * Delete a user-defined template that no campaign references
+ */
+router.delete('/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (signalTemplateService.isBuiltIn(id)) {
+      return res.status(403).json({ error: 'Built-in signal templates cannot be deleted' });
+    }
+
+    const { templates } = await signalTemplateService.resolveTemplates(req.user.id, [id]);
+    if (templates.length === 0) {
+      return res.status(404).json({ error: 'Signal template not found' });
+    }
+
+    const { data: campaigns, error: campaignsError } = await supabase
+      .from('campaigns')
+      .select('id, name')
+      .eq('user_id', req.user.id)
+      .contains('template_ids', [id]);
+
+    if (campaignsError) {
+      logger.error('Failed to check campaigns for signal template', campaignsError);
+      return res.status(500).json({ error: 'Failed to delete signal template' });
+    }
+
+    if (campaigns.length > 0) {
+      return res.status(409).json({
+        error: 'Signal template is used by campaigns; remove it from them first',
+        campaigns
+      });
+    }
+
+    const { error } = await supabase
+      .from('signal_templates')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      logger.error('Failed to delete signal template', error);
+      return res.status(500).json({ error: 'Failed to delete signal template' });
+    }
+
+    logger.info('Signal template deleted', { templateId: id, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Signal template deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting signal template', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ require('dotenv').config();
 const { verifyConnection } = require('./utils/db');
 const logger = require('./utils/logger');
 const schedulerService = require('./services/scheduler');
+const jobQueueService = require('./services/job-queue');
 
 // Import routes
 const profilesRouter = require('./routes/profiles');
@@ -14,6 +15,9 @@ const billingRouter = require('./routes/billing');
 const webhookRouter = require('./routes/webhook');
 const campaignsRouter = require('./routes/campaigns');
 const engagersRouter = require('./routes/engagers');
+const accountRouter = require('./routes/account');
+const signalTemplatesRouter = require('./routes/signal-templates');
+const scansRouter = require('./routes/scans');
 
 // Initialize Express
 const app = express();
@@ -26,6 +30,8 @@ app.use(cors());
 // Body parsing middleware
 // Note: webhook route needs raw body, so we apply express.json() selectively
 app.use('/razorpay/webhook', webhookRouter); // This route uses express.raw()
+// Bulk imports take CSV files and larger JSON bodies
+app.use('/profiles/import', express.text({ type: 'text/csv', limit: '5mb' }), express.json({ limit: '5mb' }));
 app.use(express.json()); // For all other routes
 
 // Health check endpoint
@@ -37,6 +43,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Scan backlog - how many profiles are overdue and how long until caught up
+app.get('/health/scanning', async (req, res) => {
+  try {
+    const backlog = await schedulerService.getBacklogStats();
+    res.json({
+      status: backlog.falling_behind ? 'behind' : 'ok',
+      timestamp: new Date().toISOString(),
+      ...backlog
+    });
+  } catch (error) {
+    logger.error('Failed to get scan backlog', error);
+    res.status(500).json({ error: 'Failed to get scan backlog' });
+  }
+});
+
 // API info endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -47,13 +68,32 @@ app.get('/', (req, res) => {
       profiles: {
         'POST /profiles': 'Create a new profile to monitor',
         'GET /profiles': 'Get all your profiles',
-        'PATCH /profiles/:id': 'Update profile keywords',
-        'DELETE /profiles/:id': 'Delete a profile'
+        'PATCH /profiles/:id': 'Update profile keywords, query and exclusions',
+        'DELETE /profiles/:id': 'Delete a profile',
+        'POST /profiles/dry-run': 'Replay proposed keywords against stored posts',
+        'POST /profiles/import': 'Add profiles in bulk from CSV or JSON',
+        'GET /profiles/imports/:id': 'Status and report of a bulk import',
+        'POST /profiles/pause': 'Stop scanning profiles, keeping their events',
+        'POST /profiles/resume': 'Resume scanning paused profiles',
+        'GET /profiles/:id/scans': 'Scan log for one profile'
+      },
+      scans: {
+        'GET /scans': 'Recent scan runs that included your profiles'
       },
       events: {
         'GET /events': 'Get detected keyword events',
         'GET /events/stats': 'Get event statistics'
       },
+      signal_templates: {
+        'GET /signal-templates': 'List built-in and your own signal templates',
+        'POST /signal-templates': 'Create a signal template',
+        'PATCH /signal-templates/:id': 'Update one of your signal templates',
+        'DELETE /signal-templates/:id': 'Delete one of your signal templates'
+      },
+      account: {
+        'GET /account/exclude-keywords': 'Get account-wide exclusion keywords',
+        'PUT /account/exclude-keywords': 'Replace account-wide exclusion keywords'
+      },
       billing: {
         'POST /billing/create-subscription': 'Create Razorpay subscription',
         'POST /webhook': 'Configure webhook URL',
@@ -61,7 +101,8 @@ app.get('/', (req, res) => {
       },
       utility: {
         'POST /scan-now': 'Manually trigger profile scan (testing)',
-        'GET /health': 'Health check'
+        'GET /health': 'Health check',
+        'GET /health/scanning': 'Scan backlog depth and lag'
       }
     },
     authentication: 'Use Authorization: Bearer YOUR_API_KEY header'
@@ -73,6 +114,9 @@ app.use('/campaigns', campaignsRouter);
 app.use('/engagers', engagersRouter);
 app.use('/profiles', profilesRouter);
 app.use('/events', eventsRouter);
+app.use('/account', accountRouter);
+app.use('/signal-templates', signalTemplatesRouter);
+app.use('/scans', scansRouter);
 app.use('/billing', billingRouter); // Billing endpoints including create-subscription
 app.use('/webhook', billingRouter); // Webhook config (legacy path for backward compatibility)
 // Note: /razorpay/webhook is already mounted above
@@ -123,11 +167,14 @@ async function startServer() {
     // Start scheduler
     schedulerService.start();
 
+    // Start the job worker (runs queued scans, including any left from before a restart)
+    jobQueueService.start();
+
     // Start HTTP server
     app.listen(PORT, () => {
       logger.info(`✅ Server running on port ${PORT}`);
       logger.info(`📡 API available at http://localhost:${PORT}`);
-      logger.info(`🔄 Scheduler running - scans every hour`);
+      logger.info(`🔄 Scheduler running - drains due scans every 5 minutes`);
     });
 
   } catch (error) {
@@ -136,18 +183,30 @@ async function startServer() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully...');
-  schedulerService.stop();
-  process.exit(0);
-});
+// Handle graceful shutdown. The scheduler lease is released and the running
+// job given a moment to finish, but never for longer than the platform waits
+// before killing the process.
+const SHUTDOWN_TIMEOUT_MS = 8000;
+
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully...`);
+
+  const stopped = Promise.all([schedulerService.stop(), jobQueueService.stop()])
+    .then(() => true)
+    .catch(error => {
+      logger.error('Error during shutdown', error);
+      return true;
+    });
+  const timedOut = new Promise(resolve => setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS).unref());
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully...');
-  schedulerService.stop();
+  if (!await Promise.race([stopped, timedOut])) {
+    logger.warn('Shutdown timed out, exiting with work still running');
+  }
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start the server
 startServer();
@@ -1,11 +1,21 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { findHashtags, findMentions } = require('../utils/social-tags');
+const { canonicalizeProfileUrl } = require('../utils/linkedin-url');
 
 const APIFY_API_BASE = 'https://api.apify.com/v2';
 const MAX_RETRIES = 1;
 const POLL_INTERVAL = 10000; // 10 seconds
 const MAX_POLL_TIME = 300000; // 5 minutes timeout
 
+// Posts fetched per profile by plan. Profiles can set their own post_depth
+// up to the plan's max; scans catch up deeper than that when needed.
+const POST_DEPTHS = {
+  free: { default: 3, max: 5 },
+  basic: { default: 5, max: 10 },
+  business: { default: 10, max: 25 }
+};
+
 class ApifyService {
   constructor() {
     this.token = process.env.APIFY_TOKEN;
@@ -16,30 +26,57 @@ class ApifyService {
     }
   }
 
+  /**
+   * Posts to fetch per scan for a profile
+   * @param {string} plan - User's plan
+   * @param {number|null} profileDepth - The profile's own post_depth, if set
+   * @returns {number}
+   */
+  postDepth(plan, profileDepth = null) {
+    const bounds = POST_DEPTHS[plan] || POST_DEPTHS.free;
+    return profileDepth ? Math.min(profileDepth, bounds.max) : bounds.default;
+  }
+
+  /**
+   * Validate a profile's post_depth against the user's plan
+   * @returns {string|null} Error message, or null if valid
+   */
+  validatePostDepth(depth, plan) {
+    const bounds = POST_DEPTHS[plan] || POST_DEPTHS.free;
+    if (!Number.isInteger(depth) || depth < 1 || depth > bounds.max) {
+      return `post_depth must be an integer from 1 to ${bounds.max} on the ${plan} plan`;
+    }
+    return null;
+  }
+
   /**
    * Scan multiple LinkedIn profiles and get their latest posts
    * @param {string[]} profileUrls - Array of LinkedIn profile URLs
-   * @returns {Promise<Array>} Array of profile results with posts
+   * @param {object} options - { maxPosts } per profile (default 3)
+   * @returns {Promise<Array>} Array of profile results with posts. more_posts
+   *   is set when a profile returned maxPosts posts and may have older ones.
    */
-  async scanProfiles(profileUrls) {
+  async scanProfiles(profileUrls, options = {}) {
     if (!profileUrls || profileUrls.length === 0) {
       return [];
     }
 
-    logger.info(`Starting Apify scan for ${profileUrls.length} profiles`);
+    const maxPosts = options.maxPosts || POST_DEPTHS.free.default;
+
+    logger.info(`Starting Apify scan for ${profileUrls.length} profiles`, { maxPosts });
 
     try {
-      return await this._scanWithRetry(profileUrls);
+      return await this._scanWithRetry(profileUrls, maxPosts);
     } catch (error) {
       logger.error('Apify scan failed after retries', error, { profileUrls });
       throw error;
     }
   }
 
-  async _scanWithRetry(profileUrls, retryCount = 0) {
+  async _scanWithRetry(profileUrls, maxPosts, retryCount = 0) {
     try {
       // Start the actor run
-      const runId = await this._startActorRun(profileUrls);
+      const runId = await this._startActorRun(profileUrls, maxPosts);
       
       // Poll for completion
       const runResult = await this._pollRunStatus(runId);
@@ -47,7 +84,7 @@ class ApifyService {
       // Fetch dataset items
       const results = await this._fetchDataset(runResult.defaultDatasetId);
       
-      return this._normalizeResults(results, profileUrls);
+      return this._normalizeResults(results, profileUrls, maxPosts);
     } catch (error) {
       // Log detailed error information in a way that actually shows up
       console.error('❌ APIFY ERROR DETAILS:', {
@@ -62,13 +99,13 @@ class ApifyService {
       if (retryCount < MAX_RETRIES) {
         logger.warn(`Apify scan attempt ${retryCount + 1} failed, retrying...`, { error: error.message });
         await this._sleep(5000); // Wait 5 seconds before retry
-        return this._scanWithRetry(profileUrls, retryCount + 1);
+        return this._scanWithRetry(profileUrls, maxPosts, retryCount + 1);
       }
       throw error;
     }
   }
 
-  async _startActorRun(profileUrls) {
+  async _startActorRun(profileUrls, maxPosts) {
     // Apify API uses ~ instead of / in the endpoint URL
     const actorIdForUrl = this.actorId.replace('/', '~');
     const url = `${APIFY_API_BASE}/acts/${actorIdForUrl}/runs?token=${this.token}`;
@@ -76,7 +113,7 @@ class ApifyService {
     // Format specifically for harvestapi/linkedin-profile-posts actor
     const input = {
       targetUrls: profileUrls, // Actor expects array of URL strings
-      maxPosts: 3,
+      maxPosts,
       maxComments: 0,
       maxReactions: 0,
       includeQuotePosts: true,
@@ -129,12 +166,14 @@ class ApifyService {
     return response.data;
   }
 
-  _normalizeResults(rawResults, requestedUrls) {
+  _normalizeResults(rawResults, requestedUrls, maxPosts) {
     const normalized = [];
 
     // harvestapi returns a flat array of posts, not profiles with posts
-    // Group posts by profile URL
+    // Group posts by profile URL. Profiles the actor could not load come
+    // back as items with an error instead of post content.
     const postsByProfile = {};
+    const errorsByProfile = {};
     
     for (const post of rawResults) {
       // Extract profile URL from query or author data
@@ -143,6 +182,14 @@ class ApifyService {
                         null;
       
       if (!profileUrl) continue;
+
+      const itemError = post.error || post.errorMessage;
+      if (itemError) {
+        errorsByProfile[profileUrl] = typeof itemError === 'string'
+          ? itemError
+          : itemError.message || JSON.stringify(itemError);
+        continue;
+      }
       
       if (!postsByProfile[profileUrl]) {
         postsByProfile[profileUrl] = [];
@@ -161,17 +208,80 @@ class ApifyService {
         continue;
       }
 
-      const extractedPosts = this._extractPosts(posts);
+      const extractedPosts = this._extractPosts(posts, maxPosts);
+      const resolvedUrl = this._findRedirect(matchedUrl, posts);
 
       normalized.push({
         linkedin_url: matchedUrl,
-        posts: extractedPosts
+        posts: extractedPosts,
+        more_posts: posts.length >= maxPosts,
+        status: resolvedUrl ? 'redirected' : 'ok',
+        error: null,
+        resolved_url: resolvedUrl
+      });
+    }
+
+    // Every requested profile gets a result, so callers can tell a profile
+    // that failed or has no posts apart from one that was never scanned
+    const returned = new Set(normalized.map(r => r.linkedin_url));
+
+    for (const requestedUrl of requestedUrls) {
+      if (returned.has(requestedUrl)) continue;
+
+      const errorUrl = Object.keys(errorsByProfile)
+        .find(url => this._findMatchingProfileUrl(url, [requestedUrl]));
+      const error = errorUrl ? errorsByProfile[errorUrl] : null;
+
+      normalized.push({
+        linkedin_url: requestedUrl,
+        posts: [],
+        more_posts: false,
+        status: this._classifyProfileError(error),
+        error,
+        resolved_url: null
       });
     }
 
     return normalized;
   }
 
+  /**
+   * Work out why a profile returned no posts from the actor's error message
+   * @param {string|null} error - Error reported for the profile, if any
+   * @returns {string} 'private', 'not_found', 'error' for any other error,
+   *   or 'no_posts' when the profile loaded without posts
+   */
+  _classifyProfileError(error) {
+    if (!error) return 'no_posts';
+    if (/private|not (publicly )?visible|restricted|out of network|log ?in required/i.test(error)) {
+      return 'private';
+    }
+    if (/not found|404|does(n't| not) exist|unavailable|removed|deleted/i.test(error)) {
+      return 'not_found';
+    }
+    return 'error';
+  }
+
+  /**
+   * The profile URL the posts were actually published under, when it differs
+   * from the one requested (the member changed their vanity URL)
+   * @returns {string|null}
+   */
+  _findRedirect(requestedUrl, posts) {
+    const authorUrl = posts.find(p => p.author?.linkedinUrl)?.author.linkedinUrl.split('?')[0];
+    if (!authorUrl) return null;
+
+    const requestedSlug = requestedUrl.match(/\/in\/([^/?#]+)/i)?.[1];
+    const authorSlug = authorUrl.match(/\/in\/([^/?#]+)/i)?.[1];
+
+    // Member-id URLs (/in/ACoAA...) always resolve to a vanity URL; that is not a move
+    if (!requestedSlug || !authorSlug || /^acoa/i.test(requestedSlug)) return null;
+
+    return decodeURIComponent(requestedSlug).toLowerCase() === decodeURIComponent(authorSlug).toLowerCase()
+      ? null
+      : authorUrl;
+  }
+
   _findMatchingProfileUrl(profileUrl, requestedUrls) {
     const normalizedProfile = this._normalizeLinkedInUrl(profileUrl);
     
@@ -210,24 +320,29 @@ class ApifyService {
   }
 
   _normalizeLinkedInUrl(url) {
-    // Remove trailing slashes, query params, etc.
+    const canonical = canonicalizeProfileUrl(url);
+    if (canonical) return canonical.key;
+
+    // Not a profile URL; remove trailing slashes, query params, etc.
     return url.toLowerCase()
       .replace(/\/$/, '')
       .replace(/\?.*$/, '')
       .replace(/https?:\/\/(www\.)?/, '');
   }
 
-  _extractPosts(item) {
+  _extractPosts(item, maxPosts) {
     const posts = [];
     
     // harvestapi/linkedin-profile-posts returns posts directly in the array
     // Each item IS a post, not a container with a posts array
     const postsArray = Array.isArray(item) ? item : (item.posts || [item]);
 
-    for (const post of postsArray.slice(0, 3)) { // Only take first 3
+    for (const post of postsArray.slice(0, maxPosts)) {
+      // harvestapi uses 'content' not 'text'
+      const text = post.content || post.text || post.description || post.body || '';
+
       const postData = {
-        // harvestapi uses 'content' not 'text'
-        text: post.content || post.text || post.description || post.body || '',
+        text,
         // harvestapi uses 'linkedinUrl' not 'post_url'
         post_url: post.linkedinUrl || post.url || post.postUrl || post.link || post.shareUrl || '',
         // harvestapi uses nested 'postedAt.date'
@@ -238,7 +353,9 @@ class ApifyService {
           post.postedDate || 
           post.timestamp || 
           post.createdAt
-        )
+        ),
+        hashtags: this._extractHashtags(post, text),
+        mentions: this._extractMentions(post, text)
       };
 
       // Only include if we have text and URL
@@ -250,6 +367,83 @@ class ApifyService {
     return posts;
   }
 
+  /**
+   * Hashtags of a post, from the actor's own list when present and the post text
+   * @returns {string[]} Tags without the '#', first spelling wins
+   */
+  _extractHashtags(post, text) {
+    const tags = [
+      ...(Array.isArray(post.hashtags) ? post.hashtags : []).map(h =>
+        typeof h === 'string' ? h : (h?.name || h?.tag || h?.text || '')),
+      ...findHashtags(text).map(h => h.tag)
+    ];
+
+    const seen = new Set();
+    return tags
+      .map(tag => tag.replace(/^#/, '').trim())
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * People and companies mentioned in a post
+   * harvestapi lists linked entities in 'contentAttributes' with their offsets
+   * in the text; other actors use a 'mentions' array. "@handle" text is added
+   * for anything not already covered.
+   * @returns {object[]} { name, url, type ('person' | 'company' | null), start, end }
+   */
+  _extractMentions(post, text) {
+    const mentions = [];
+
+    for (const attribute of Array.isArray(post.contentAttributes) ? post.contentAttributes : []) {
+      const entity = attribute.company || attribute.profile;
+      if (!entity) continue;
+
+      const start = Number.isInteger(attribute.start) ? attribute.start : null;
+      const end = start !== null && Number.isInteger(attribute.length) ? start + attribute.length : null;
+      const name = entity.name ||
+        [entity.firstName, entity.lastName].filter(Boolean).join(' ') ||
+        (start !== null && end !== null ? text.slice(start, end) : '');
+
+      mentions.push({
+        name,
+        url: entity.linkedinUrl || entity.url || null,
+        type: attribute.company ? 'company' : 'person',
+        start,
+        end
+      });
+    }
+
+    for (const mention of Array.isArray(post.mentions) ? post.mentions : []) {
+      const name = typeof mention === 'string' ? mention : (mention?.name || mention?.text || '');
+      const type = mention?.type ? String(mention.type).toLowerCase() : null;
+
+      mentions.push({
+        name: name.replace(/^@/, ''),
+        url: mention?.linkedinUrl || mention?.url || mention?.profileUrl || null,
+        type: type === 'company' || type === 'person' ? type : null,
+        start: null,
+        end: null
+      });
+    }
+
+    for (const mention of findMentions(text)) {
+      mentions.push({ name: mention.name, url: null, type: null, start: mention.start, end: mention.end });
+    }
+
+    const seen = new Set();
+    return mentions.filter(m => {
+      const key = m.name.toLowerCase();
+      if (!m.name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
   _parseDate(dateString) {
     if (!dateString) return null;
     
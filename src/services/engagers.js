@@ -1,7 +1,82 @@
 const apifyService = require('./apify');
 const logger = require('../utils/logger');
+const jobQueueService = require('./job-queue');
+
+const ENGAGER_SCAN_JOB = 'engager_scan';
 
 class EngagersService {
+  constructor() {
+    jobQueueService.register(ENGAGER_SCAN_JOB, payload => this.runScan(payload), {
+      onFailed: (payload, error) => this.markScanFailed(payload.scan_id, error)
+    });
+  }
+
+  /**
+   * Queue a scan whose engager_scans record already exists
+   * @param {object} scan - { scan_id, user_id, post_url, engagement_types, limit_per_type }
+   */
+  async enqueueScan(scan) {
+    return jobQueueService.enqueue(ENGAGER_SCAN_JOB, scan, {
+      dedupeKey: `${ENGAGER_SCAN_JOB}:${scan.scan_id}`,
+      maxAttempts: 2,
+      // Enrichment of a large post can take a while
+      leaseSeconds: 60 * 60
+    });
+  }
+
+  /**
+   * Run a queued scan: scrape, enrich and save the results, reporting
+   * progress on the engager_scans record
+   */
+  async runScan({ scan_id: scanId, user_id: userId, post_url: postUrl, engagement_types: engagementTypes, limit_per_type: limitPerType }) {
+    const { supabase } = require('../config/supabase');
+
+    const onProgress = async (progress) => {
+      await supabase.from('engager_scans').update({
+        total_engagers: progress.total || 0,
+        profiles_enriched: progress.profiles_enriched || 0,
+        companies_enriched: progress.companies_enriched || 0
+      }).eq('id', scanId);
+    };
+
+    const result = await this.scanPostEngagers(
+      postUrl,
+      engagementTypes,
+      limitPerType,
+      onProgress
+    );
+
+    // Save complete results to Supabase
+    await this.saveToSupabase(userId, scanId, {
+      postUrl,
+      engagementTypes,
+      limitPerType: limitPerType || 10
+    }, result);
+
+    logger.info('Engager scan completed', {
+      scanId,
+      totalEngagers: result.engagers.length,
+      uniqueProfiles: result.uniqueProfiles
+    });
+  }
+
+  /**
+   * Record a scan that has failed for good
+   */
+  async markScanFailed(scanId, error) {
+    logger.error('Engager scan failed', {
+      scanId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    const { supabase } = require('../config/supabase');
+    await supabase.from('engager_scans').update({
+      status: 'failed',
+      error_message: error.message
+    }).eq('id', scanId);
+  }
+
   /**
    * HYBRID APPROACH with ROBUST ERROR HANDLING
    */
@@ -0,0 +1,360 @@
+const logger = require('../utils/logger');
+
+// Currency symbols and codes, longest first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY']
+];
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD', 'SGD', 'CHF', 'JPY'];
+
+const CURRENCY_WORDS = {
+  dollars: 'USD',
+  euros: 'EUR',
+  pounds: 'GBP',
+  rupees: 'INR'
+};
+
+const MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  lakh: 1e5,
+  lakhs: 1e5,
+  m: 1e6,
+  mm: 1e6,
+  mn: 1e6,
+  million: 1e6,
+  cr: 1e7,
+  crore: 1e7,
+  crores: 1e7,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9
+};
+
+const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escape(symbol)).join('|');
+const MULTIPLIER_PATTERN = Object.keys(MULTIPLIERS).sort((a, b) => b.length - a.length).join('|');
+const NUMBER_PATTERN = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+
+// "$2.5M", "US$ 10 million", "EUR 5m", "€3bn", "10 million dollars", "₹50 crore"
+const MONEY_PATTERN = new RegExp(
+  `(?:(${SYMBOL_PATTERN})\\s?|\\b(${CURRENCY_CODES.join('|')})\\s?)?` +
+  `(${NUMBER_PATTERN})` +
+  `(?:\\s?(${MULTIPLIER_PATTERN})\\b)?` +
+  `(?:\\s?(${CURRENCY_CODES.join('|')}|${Object.keys(CURRENCY_WORDS).join('|')})\\b)?`,
+  'gi'
+);
+
+// "seed", "angel", "growth" and "bridge" are everyday words, so they only
+// name a round when followed by a round noun ("seed round", "bridge financing")
+const ROUND_NOUN = '(?:round|funding|financing|investment|raise)';
+const ROUND_PATTERN = new RegExp(
+  `\\b(?:(seed|angel|growth|bridge)\\s+${ROUND_NOUN}\\b|` +
+  `(pre[- ]?seed|series\\s+([a-h])\\b(?:[- ]extension)?|pre[- ]?ipo|ipo)\\b(?:\\s+${ROUND_NOUN}\\b)?)`,
+  'gi'
+);
+const BARE_SERIES_PATTERN = /\bseries\s+([a-h])\b/i;
+
+const FUNDING_CUES = /\b(rais(?:e|ed|ing)|funding|funded|round|secured|closed|investment|invested|backed|financing)\b/i;
+const HIRING_CUES = /\b(hiring|we'?re hiring|looking for|join (?:our|the) team|open (?:role|roles|position|positions)|recruiting|now hiring|apply)\b/i;
+
+// "led by Sequoia Capital", "with participation from Accel, Index and Y Combinator"
+const INVESTOR_PHRASES = [
+  'co-led by', 'led by', 'backed by', 'with participation from', 'participation from',
+  'investors include', 'investors including', 'from investors including',
+  'from investors', 'joined by'
+];
+const INVESTOR_PHRASE_PATTERN = INVESTOR_PHRASES.join('|');
+// The name list runs until the sentence ends or another investor phrase starts
+const INVESTOR_CUES = new RegExp(
+  `\\b(?:${INVESTOR_PHRASE_PATTERN})\\s+(.+?)(?=[,\\s]+(?:${INVESTOR_PHRASE_PATTERN})\\b|[.!?\\n](?:\\s|$)|$)`,
+  'gi'
+);
+const MAX_INVESTORS = 10;
+
+const ROLE_HEADS = [
+  'engineer', 'developer', 'designer', 'manager', 'director', 'analyst',
+  'scientist', 'recruiter', 'architect', 'marketer', 'representative',
+  'specialist', 'consultant', 'intern', 'executive', 'administrator',
+  'strategist', 'writer', 'lead', 'officer', 'associate', 'coordinator',
+  'sdr', 'bdr', 'ae', 'cto', 'cfo', 'coo', 'cmo', 'cro', 'cpo'
+];
+
+// "Head of Sales", "VP of Engineering", "Director of Product Marketing"
+const LEADERSHIP_PATTERN = /\b((?:[Hh]ead|VP|[Vv]ice [Pp]resident|[Dd]irector|[Cc]hief)\s+of\s+[A-Z][\w&-]*(?:\s+[A-Z][\w&-]*)?)/g;
+
+// Lowercase words that may start a role title even when not capitalized
+const ROLE_MODIFIERS = [
+  'senior', 'sr', 'junior', 'jr', 'staff', 'principal', 'lead', 'entry', 'level',
+  'associate', 'graduate', 'backend', 'frontend', 'full', 'stack', 'fullstack',
+  'software', 'data', 'product', 'sales', 'marketing', 'account', 'devops',
+  'mobile', 'ml', 'ai', 'qa', 'growth', 'customer', 'success', 'business',
+  'development', 'founding', 'ux', 'ui', 'security', 'platform', 'solutions'
+];
+const MAX_TITLE_WORDS = 5;
+
+// Checked in order; the first hit wins
+const SENIORITY_RULES = [
+  ['executive', /\b(chief|cto|cfo|coo|cmo|cro|cpo)\b/i],
+  ['vp', /\b(vp|vice president)\b/i],
+  ['director', /\bdirector\b/i],
+  ['lead', /\b(head of|lead)\b/i],
+  ['manager', /\bmanager\b/i],
+  ['senior', /\b(senior|sr|staff|principal)\b/i],
+  ['intern', /\b(intern|internship)\b/i],
+  ['entry', /\b(junior|jr|entry|graduate|associate)\b/i]
+];
+
+class ExtractionService {
+  /**
+   * Extract structured entities from post text
+   * @param {string} postText - Raw post text
+   * @returns {object|null} { funding, hiring }, or null when nothing was found.
+   *   funding: { amount, currency, amount_text, round, investors }
+   *   hiring:  { roles: [{ title, seniority }] }
+   */
+  extract(postText) {
+    if (!postText) return null;
+
+    try {
+      const funding = this.extractFunding(postText);
+      const hiring = this.extractHiring(postText);
+
+      if (!funding && !hiring) return null;
+
+      return { funding, hiring };
+    } catch (error) {
+      // Extraction is best effort and must never block a match
+      logger.warn('Entity extraction failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Pull the funding amount, round and investors out of a funding announcement
+   * @param {string} text
+   * @returns {object|null} { amount, currency, amount_text, round, investors }
+   */
+  extractFunding(text) {
+    // Amounts only count in a sentence that talks about funding; rounds too,
+    // unless the post already has a raised amount ("Our Series A! We raised $5M")
+    const money = this._findAmount(text);
+    const round = this._findRound(text, { anySentence: Boolean(money) });
+    const investors = this._findInvestors(text, { anySentence: Boolean(round || money) });
+
+    if (!round && !money && investors.length === 0) {
+      return null;
+    }
+
+    return {
+      amount: money ? money.amount : null,
+      currency: money ? money.currency : null,
+      amount_text: money ? money.text : null,
+      round,
+      investors
+    };
+  }
+
+  /**
+   * Pull job titles and their seniority out of a hiring post
+   * @param {string} text
+   * @returns {object|null} { roles: [{ title, seniority }] }
+   */
+  extractHiring(text) {
+    if (!HIRING_CUES.test(text)) {
+      return null;
+    }
+
+    const titles = [];
+    const seen = new Set();
+    const add = title => {
+      const key = title.toLowerCase();
+      // Skip duplicates and titles already covered by a longer one
+      if (seen.has(key) || titles.some(t => t.toLowerCase().includes(key))) return;
+      seen.add(key);
+      titles.push(title);
+    };
+
+    for (const match of text.matchAll(LEADERSHIP_PATTERN)) {
+      add(match[1]);
+    }
+
+    for (const title of this._findRoleTitles(text)) {
+      add(title);
+    }
+
+    if (titles.length === 0) {
+      return null;
+    }
+
+    return {
+      roles: titles.map(title => ({ title, seniority: this.seniorityOf(title) }))
+    };
+  }
+
+  /**
+   * Classify a job title's seniority
+   * @param {string} title
+   * @returns {string|null} executive, vp, director, lead, manager, senior, intern,
+   *   entry, or null for an unqualified (mid-level) title
+   */
+  seniorityOf(title) {
+    const rule = SENIORITY_RULES.find(([, pattern]) => pattern.test(title));
+    return rule ? rule[0] : null;
+  }
+
+  /**
+   * Find the funding round, e.g. "Series A", "Seed", "Pre-Seed"
+   * @param {string} text
+   * @param {object} options - { anySentence } once an amount is known;
+   *   otherwise the round must be in a sentence that talks about funding
+   * @returns {string|null}
+   */
+  _findRound(text, { anySentence = false } = {}) {
+    const inFundingSentence = index => anySentence || FUNDING_CUES.test(this._sentenceAt(text, index));
+
+    for (const match of text.matchAll(ROUND_PATTERN)) {
+      if (!inFundingSentence(match.index)) continue;
+
+      const name = (match[1] || match[2]).toLowerCase();
+
+      if (match[3]) return `Series ${match[3].toUpperCase()}`;
+      if (/^pre[- ]?seed$/.test(name)) return 'Pre-Seed';
+      if (/^pre[- ]?ipo$/.test(name)) return 'Pre-IPO';
+      if (name === 'ipo') return 'IPO';
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    const series = text.match(BARE_SERIES_PATTERN);
+    return series && inFundingSentence(series.index)
+      ? `Series ${series[1].toUpperCase()}`
+      : null;
+  }
+
+  /**
+   * Find the raised amount: a currency amount in a sentence that talks about
+   * funding, so ticket prices and headcounts elsewhere in the post are ignored.
+   * @param {string} text
+   * @returns {object|null} { amount, currency, text }
+   */
+  _findAmount(text) {
+    const candidates = [];
+
+    for (const match of text.matchAll(MONEY_PATTERN)) {
+      const [raw, symbol, prefixCode, number, multiplier, suffix] = match;
+
+      // Without a currency a number is not money ("5 million moments", "5m" metres)
+      if (!symbol && !prefixCode && !suffix) continue;
+
+      const scale = multiplier ? MULTIPLIERS[multiplier.toLowerCase()] : 1;
+      const currency = symbol
+        ? CURRENCY_SYMBOLS.find(([s]) => s.toLowerCase() === symbol.toLowerCase())[1]
+        : (prefixCode || (suffix && (CURRENCY_WORDS[suffix.toLowerCase()] || suffix))) || null;
+
+      candidates.push({
+        amount: Math.round(parseFloat(number.replace(/,/g, '')) * scale),
+        currency: currency ? currency.toUpperCase() : null,
+        text: raw.trim(),
+        index: match.index
+      });
+    }
+
+    const inFundingSentence = candidates.find(c => FUNDING_CUES.test(this._sentenceAt(text, c.index)));
+    if (!inFundingSentence) return null;
+
+    const { index, ...money } = inFundingSentence;
+    return money;
+  }
+
+  /**
+   * Find investor names after phrases like "led by" or "with participation from"
+   * @param {string} text
+   * @param {object} options - { anySentence } once a round or amount is known;
+   *   otherwise the phrase must be in a sentence that talks about funding
+   * @returns {string[]}
+   */
+  _findInvestors(text, { anySentence = false } = {}) {
+    const investors = [];
+
+    for (const match of text.matchAll(INVESTOR_CUES)) {
+      if (!anySentence && !FUNDING_CUES.test(this._sentenceAt(text, match.index))) continue;
+
+      const names = match[1]
+        .split(/,|\s+and\s+|\s+&\s+|\s+as well as\s+/i)
+        .map(name => name.trim()
+          .replace(/^(?:and|existing investors?|new investors?|investors?)\s+/i, '')
+          .replace(/\s+(?:among others|and others|amongst others)$/i, '')
+          .replace(/[\s:;)]+$/, ''))
+        .filter(name => /^[\p{Lu}\d]/u.test(name) && name.split(/\s+/).length <= 5);
+
+      for (const name of names) {
+        if (!investors.includes(name)) investors.push(name);
+      }
+    }
+
+    return investors.slice(0, MAX_INVESTORS);
+  }
+
+  /**
+   * Find role titles: a role noun plus the capitalized or known modifier
+   * words right before it ("Senior Backend Engineer", "Account Executive")
+   * @param {string} text
+   * @returns {string[]}
+   */
+  _findRoleTitles(text) {
+    const words = [...text.matchAll(/[\p{L}\p{N}][\p{L}\p{N}+#.-]*/gu)]
+      .map(m => ({ value: m[0].replace(/\.$/, ''), index: m.index }));
+    const titles = [];
+
+    for (let i = 0; i < words.length; i++) {
+      const value = words[i].value;
+      const head = value.replace(/s$/, '');
+
+      if (!ROLE_HEADS.includes(head.toLowerCase()) && !ROLE_HEADS.includes(value.toLowerCase())) continue;
+
+      // Short heads are only roles when written as acronyms ("AE", "SDR")
+      if (head.length <= 3 && head !== head.toUpperCase()) continue;
+
+      let first = i;
+      while (first > 0 && i - first < MAX_TITLE_WORDS - 1) {
+        const previous = words[first - 1];
+        const between = text.slice(previous.index + previous.value.length, words[first].index);
+
+        // Stop at punctuation other than a hyphen or space
+        if (!/^[\s-]*$/.test(between)) break;
+
+        const isModifier = ROLE_MODIFIERS.includes(previous.value.toLowerCase());
+        const isCapitalized = /^\p{Lu}/u.test(previous.value) && first - 1 > 0 &&
+          !/[.!?]\s*$/.test(text.slice(0, previous.index));
+
+        if (!isModifier && !isCapitalized) break;
+        first--;
+      }
+
+      // A lone generic noun ("manager", "lead") is not a title
+      if (first === i && ['lead', 'manager', 'director', 'executive', 'officer', 'associate'].includes(head.toLowerCase())) {
+        continue;
+      }
+
+      const start = words[first].index;
+      const end = words[i].index + value.length;
+      titles.push(text.slice(start, end).replace(/\s+/g, ' '));
+    }
+
+    return titles;
+  }
+
+  /**
+   * Return the sentence containing a character offset
+   */
+  _sentenceAt(text, index) {
+    const boundaries = [...text.slice(0, index).matchAll(/[.!?\n](?=\s)/g)];
+    const start = boundaries.length ? boundaries[boundaries.length - 1].index + 1 : 0;
+    const rest = text.slice(index).search(/[.!?\n](?=\s|$)/);
+    return text.slice(start, rest === -1 ? text.length : index + rest);
+  }
+}
+
+module.exports = new ExtractionService();
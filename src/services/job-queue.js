@@ -0,0 +1,256 @@
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const { instanceId } = require('../utils/instance');
+
+// How often the worker looks for due jobs
+const POLL_INTERVAL_MS = 5000;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// How long a claimed job stays locked to this worker. The worker renews the
+// lease while the job runs, so a job whose lease runs out is treated as lost
+// (crash or deploy) and run again.
+const DEFAULT_LEASE_SECONDS = 15 * 60;
+
+// Delay before retrying a failed job: 30s, 60s, 120s, ...
+const RETRY_BASE_SECONDS = 30;
+
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.workerId = instanceId;
+    this.timer = null;
+    // The running poll, so stop() can wait for it
+    this.polling = null;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type, e.g. 'profile_scan'
+   * @param {Function} handler - async (payload, job) => void; throw to fail the attempt
+   * @param {object} options - { onFailed(payload, error) } called once a job has used up its attempts
+   */
+  register(type, handler, options = {}) {
+    this.handlers[type] = { handler, onFailed: options.onFailed };
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {object} payload - JSON data passed to the handler
+   * @param {object} options - { runAt, maxAttempts, leaseSeconds, dedupeKey }.
+   *   While a job with the same dedupeKey is queued or running, no new one is added.
+   * @returns {Promise<object|null>} The job row, or null if deduplicated
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .insert({
+        type,
+        payload,
+        run_at: (options.runAt || new Date()).toISOString(),
+        max_attempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        lease_seconds: options.leaseSeconds || DEFAULT_LEASE_SECONDS,
+        dedupe_key: options.dedupeKey || null
+      })
+      .select('id, type, status, run_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        logger.info('Job already queued', { type, dedupeKey: options.dedupeKey });
+        return null;
+      }
+      throw new Error(`Failed to enqueue ${type} job: ${error.message}`);
+    }
+
+    logger.info('Job enqueued', { jobId: job.id, type });
+    return job;
+  }
+
+  /**
+   * Start the worker loop. Queued jobs and jobs whose worker died are picked
+   * up straight away, so work left over from before a restart resumes.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.poll();
+
+    logger.info('✅ Job worker started', { workerId: this.workerId });
+  }
+
+  /**
+   * Stop polling. A job already running finishes; if the process exits
+   * first, its lease runs out and another worker picks it up.
+   * @returns {Promise<void>} Resolves once the running job, if any, has finished
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Job worker stopped');
+    }
+
+    return Promise.resolve(this.polling);
+  }
+
+  /**
+   * Run due jobs one after another, unless a poll is already running
+   * @returns {Promise<void>} Resolves when no job is due or the worker stops
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this._runDueJobs().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  /**
+   * Each job is claimed only when it is about to run: only the running job's
+   * lease is renewed, so a job claimed early would lapse while it waited and
+   * another worker would run it as well.
+   */
+  async _runDueJobs() {
+    try {
+      let job;
+      do {
+        job = await this._claimJob();
+        if (job) await this._runJob(job);
+      } while (job && this.timer);
+    } catch (error) {
+      logger.error('Job worker poll failed', error);
+    }
+  }
+
+  /**
+   * Lock the next due job to this worker. claim_jobs (schema.sql) uses
+   * FOR UPDATE SKIP LOCKED, so concurrent workers never get the same job.
+   * @returns {Promise<object|null>} The job, or null if none is due
+   */
+  async _claimJob() {
+    const { data, error } = await supabase.rpc('claim_jobs', {
+      p_worker: this.workerId,
+      p_limit: 1
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim jobs: ${error.message}`);
+    }
+
+    return (data && data[0]) || null;
+  }
+
+  async _runJob(job) {
+    const registered = this.handlers[job.type];
+
+    if (!registered) {
+      await this._finish(job, 'failed', `No handler registered for job type ${job.type}`);
+      return;
+    }
+
+    // Claimed again after its worker was lost, with no attempts left
+    if (job.attempts > job.max_attempts) {
+      await this._fail(job, registered, new Error('Job was interrupted too many times'));
+      return;
+    }
+
+    logger.info('Running job', { jobId: job.id, type: job.type, attempt: job.attempts });
+
+    // Keep other instances from reclaiming the job while it is still running
+    const heartbeat = setInterval(
+      () => this._renewLease(job),
+      job.lease_seconds * 1000 / 2
+    );
+
+    try {
+      await registered.handler(job.payload, job);
+      await this._finish(job, 'completed');
+      logger.info('Job completed', { jobId: job.id, type: job.type });
+    } catch (error) {
+      logger.error('Job failed', error, { jobId: job.id, type: job.type, attempt: job.attempts });
+
+      if (job.attempts >= job.max_attempts) {
+        await this._fail(job, registered, error);
+      } else {
+        await this._retry(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async _renewLease(job) {
+    const { error } = await supabase
+      .from('jobs')
+      .update({
+        locked_until: new Date(Date.now() + job.lease_seconds * 1000).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+
+    if (error) {
+      logger.error('Failed to renew job lease', error, { jobId: job.id });
+    }
+  }
+
+  async _retry(job, error) {
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+
+    const { error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: 'queued',
+        run_at: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+        last_error: error.message,
+        locked_by: null,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+
+    if (updateError) {
+      logger.error('Failed to reschedule job', updateError, { jobId: job.id });
+    }
+  }
+
+  async _fail(job, registered, error) {
+    await this._finish(job, 'failed', error.message);
+
+    if (registered.onFailed) {
+      try {
+        await registered.onFailed(job.payload, error);
+      } catch (hookError) {
+        logger.error('Job failure handler failed', hookError, { jobId: job.id });
+      }
+    }
+  }
+
+  async _finish(job, status, lastError = null) {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('jobs')
+      .update({
+        status,
+        last_error: lastError,
+        locked_by: null,
+        locked_until: null,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+
+    if (error) {
+      logger.error('Failed to update job status', error, { jobId: job.id, status });
+    }
+  }
+}
+
+module.exports = new JobQueueService();
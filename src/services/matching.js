@@ -1,41 +1,373 @@
 const logger = require('../utils/logger');
+const extractionService = require('./extraction');
+const { parseQuery, stringifyQuery } = require('../utils/query-parser');
+const { detectLanguage, SUPPORTED_LANGUAGES } = require('../utils/language');
+const { stem } = require('../utils/stemmer');
+const { checkRegex, execRegex } = require('../utils/safe-regex');
+const SIGNAL_TEMPLATES = require('../types/signal-templates');
+const { findHashtags, findMentions } = require('../utils/social-tags');
+
+// How a keyword is located in the post:
+//   token     - whole tokens only ("ae" does not match "israel")
+//   prefix    - the last keyword token may be a prefix ("hire" matches "hired")
+//   substring - raw containment, the legacy behaviour
+//   stem      - tokens compared by English stem ("hire" matches "hiring", "hired");
+//               behaves like token for posts detected as another language
+const MATCH_MODES = ['token', 'prefix', 'substring', 'stem'];
+
+// Per-keyword only: the keyword is a regular expression run against the raw post
+// text, case-insensitively. Captured groups are reported on the event.
+const KEYWORD_MATCH_MODES = [...MATCH_MODES, 'regex'];
+
+// Confidence score (0-100): points for the keyword's weight, for other signals
+// in the same post, for matching early in the post and for extracted entities
+const SCORE_POINTS = {
+  weight: 40,       // x keyword weight (default 1)
+  signal: 10,       // per additional matched keyword or query clause
+  maxSignals: 20,
+  position: 20,     // full points at the start of the post, none at the end
+  funding: 20,      // amount or round found
+  hiring: 15,       // role titles found
+  maxEntities: 30
+};
+const DEFAULT_KEYWORD_WEIGHT = 1;
+const MAX_KEYWORD_WEIGHT = 3;
+
+// An emoji, with its skin tone, presentation selector and ZWJ sequence (👩‍💻)
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+
+// Tokens in post text: each emoji on its own, or a run of letters (with
+// combining marks), digits and underscores
+const WORD_PATTERN = new RegExp(`${EMOJI_PATTERN.source}|[\\p{L}\\p{M}\\p{N}_]+`, 'gu');
+
+// Keyword prefixes that only match hashtags (#hiring) or mentions (@Acme)
+const TAG_PREFIXES = { '#': 'hashtags', '@': 'mentions' };
+
+// Sentence ends: terminal punctuation followed by whitespace, or line breaks
+const SENTENCE_BOUNDARY = /[.!?。！？]+(?=\s|$)|\n+/gu;
 
 class MatchingService {
   /**
    * Check if post text contains any of the keywords
    * @param {string} postText - The post content
-   * @param {string[]} keywords - Array of keywords to match
+   * @param {Array<string|object>} keywords - Keywords to match; each entry is a string
+   *   or { keyword, match } to override the match mode for that keyword
+   * @param {object} options - { matchMode } default mode for plain string keywords, plus
+   *   optional { hashtags, mentions } captured for the post by the Apify service
    * @returns {string[]} Array of matched keywords
    */
-  findMatches(postText, keywords) {
+  findMatches(postText, keywords, options = {}) {
     if (!postText || !keywords || keywords.length === 0) {
       return [];
     }
 
-    const matches = [];
-    
-    // Normalize post text: lowercase and remove punctuation
-    const normalizedText = this._normalizeText(postText);
+    const doc = this._analyze(postText, options);
+
+    // Return original keywords, not normalized
+    return this._findMatchesInDoc(doc, keywords, options.matchMode).map(m => m.keyword);
+  }
+
+  /**
+   * Like findMatches, but also returns where each keyword was found
+   * @param {string} postText - The post content
+   * @param {Array<string|object>} keywords - Keywords to match
+   * @param {object} options - { matchMode } default mode for plain string keywords
+   * @returns {object[]} { keyword, occurrences: [{ start, end, text }] } per matched keyword
+   */
+  findMatchDetails(postText, keywords, options = {}) {
+    if (!postText || !keywords || keywords.length === 0) {
+      return [];
+    }
+
+    return this._findMatchesInDoc(this._analyze(postText, options), keywords, options.matchMode);
+  }
 
-    for (const keyword of keywords) {
-      const normalizedKeyword = this._normalizeText(keyword);
-      
-      if (normalizedText.includes(normalizedKeyword)) {
-        matches.push(keyword); // Return original keyword, not normalized
+  /**
+   * Run the keywords through every match mode, to show how the choice of mode
+   * changes the result (used by test-scan)
+   * @param {string} postText - The post content
+   * @param {Array<string|object>} keywords - Keywords to match
+   * @returns {object} Map of mode to matched keywords
+   */
+  compareMatchModes(postText, keywords) {
+    const plainKeywords = [...new Set((keywords || [])
+      .map(entry => this._toKeywordEntry(entry))
+      .filter(entry => entry.match !== 'regex')
+      .map(entry => entry.keyword))];
+    const comparison = {};
+
+    for (const mode of MATCH_MODES) {
+      comparison[mode] = this.findMatches(postText, plainKeywords, { matchMode: mode });
+    }
+
+    return comparison;
+  }
+
+  /**
+   * Validate a keyword list
+   * @param {Array<string|object>} keywords
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateKeywords(keywords) {
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+      return 'keywords must be a non-empty array';
+    }
+
+    for (const entry of keywords) {
+      if (typeof entry === 'string') {
+        if (!entry.trim()) return 'keywords must not contain empty strings';
+        if (this._isBareTagPrefix(entry)) return `Keyword "${entry}" needs a name after the # or @`;
+        if (!this._normalizeText(entry)) return `Keyword "${entry}" has no letters or digits to match`;
+        continue;
+      }
+
+      if (!entry || typeof entry.keyword !== 'string' || !entry.keyword.trim()) {
+        return 'Each keyword must be a string or an object like { "keyword": "...", "match": "token" }';
+      }
+
+      if (entry.match !== 'regex' && this._isBareTagPrefix(entry.keyword)) {
+        return `Keyword "${entry.keyword}" needs a name after the # or @`;
+      }
+
+      // Punctuation is dropped before matching, so nothing would be left to find
+      if (entry.match !== 'regex' && !this._normalizeText(entry.keyword)) {
+        return `Keyword "${entry.keyword}" has no letters or digits to match`;
+      }
+
+      if (entry.match === 'regex') {
+        const regexError = checkRegex(entry.keyword);
+        if (regexError) return `Keyword "${entry.keyword}": ${regexError}`;
+      } else if (entry.match !== undefined && !KEYWORD_MATCH_MODES.includes(entry.match)) {
+        return `Keyword "${entry.keyword}": match must be one of: ${KEYWORD_MATCH_MODES.join(', ')}`;
+      }
+
+      if (entry.weight !== undefined &&
+          (typeof entry.weight !== 'number' || entry.weight < 0 || entry.weight > MAX_KEYWORD_WEIGHT)) {
+        return `Keyword "${entry.keyword}": weight must be a number between 0 and ${MAX_KEYWORD_WEIGHT}`;
       }
     }
 
-    return matches;
+    return null;
+  }
+
+  /**
+   * Validate a profile language filter
+   * @param {string[]} languages - ISO 639-1 codes
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateLanguages(languages) {
+    if (!Array.isArray(languages) || languages.some(l => !SUPPORTED_LANGUAGES.includes(l))) {
+      return `languages must be an array of: ${SUPPORTED_LANGUAGES.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Detect the language of a post
+   * @param {string} postText
+   * @returns {string|null} ISO 639-1 code, or null when unsure
+   */
+  detectLanguage(postText) {
+    if (!postText) return null;
+    return this._analyze(postText).language;
+  }
+
+  /**
+   * Validate a match mode name
+   * @param {string} mode
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateMatchMode(mode) {
+    if (!MATCH_MODES.includes(mode)) {
+      return `match mode must be one of: ${MATCH_MODES.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a boolean keyword query
+   * @param {string} query - Query expression, e.g. 'hiring AND (sdr OR ae) NOT intern'
+   * @returns {string|null} Error message, or null if the query is valid
+   */
+  validateQuery(query) {
+    try {
+      parseQuery(query);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Evaluate a parsed query against post text
+   * @param {string} postText - The post content
+   * @param {object} ast - Query AST from parseQuery
+   * @param {object} options - { matchMode } mode for terms without a trailing *
+   * @returns {object} { matched, clause, terms, occurrences } where clause is the
+   *   top-level OR branch that fired, terms are the positive terms found in the post
+   *   and occurrences locate them in the original text
+   */
+  evaluateQuery(postText, ast, options = {}) {
+    if (!postText || !ast) {
+      return { matched: false, clause: null, terms: [], occurrences: [] };
+    }
+
+    return this._evaluateQueryInDoc(this._analyze(postText, options), ast, options.matchMode);
+  }
+
+  /**
+   * Build the matching rules for a profile row
+   * @param {object} profile - Profile with keywords, optional query and exclude_keywords,
+   *   optionally joined with campaigns(exclude_keywords) and users(exclude_keywords)
+   * @param {object[]} templates - User-defined signal templates of the profile's campaign
+   *   ({ id, keywords, query }), used to tag events with the templates that matched
+   * @returns {object} Rules accepted by processPost
+   */
+  buildRules(profile, templates = []) {
+    let query = null;
+
+    if (profile.query) {
+      try {
+        query = parseQuery(profile.query);
+      } catch (error) {
+        // Queries are validated on write, so this only happens for legacy rows
+        logger.warn('Ignoring invalid profile query', {
+          profileId: profile.id,
+          error: error.message
+        });
+      }
+    }
+
+    // Exclusions stack: the profile's own, its campaign's and the account-wide list
+    const excludeKeywords = [...new Set([
+      ...(profile.exclude_keywords || []),
+      ...(profile.campaigns?.exclude_keywords || []),
+      ...(profile.users?.exclude_keywords || [])
+    ])];
+
+    return {
+      keywords: profile.keywords || [],
+      query,
+      excludeKeywords,
+      // Rows created before match modes existed have no column value
+      matchMode: profile.match_mode || 'substring',
+      languages: profile.languages?.length ? profile.languages : null,
+      templates: templates
+        .filter(template => !SIGNAL_TEMPLATES[template.id])
+        .map(template => this._templateRules(template.id, template))
+    };
+  }
+
+  /**
+   * Work out which kinds of signal a post carries: every signal template whose
+   * keywords were matched or whose query matches the post, plus the kinds found
+   * in the extracted entities
+   * @param {string[]} keywords - Matched keywords
+   * @param {object|null} entities - Result of extractionService.extract
+   * @param {object} options - { post } or an analyzed { doc } to evaluate template
+   *   queries against, { templates } user-defined template rules from buildRules and
+   *   the { matchMode } those queries use
+   * @returns {string[]} Signal types (template ids), e.g. ['funding', 'sales_hiring']
+   */
+  classifySignals(keywords, entities, options = {}) {
+    const { post = null, templates = [], matchMode = 'token' } = options;
+    const doc = options.doc || (post ? this._analyze(post.text || '', post) : null);
+    const matched = new Set(keywords.map(k => k.toLowerCase()));
+    const types = new Set();
+
+    for (const template of [...this._builtInTemplateRules(), ...templates]) {
+      if (template.keywords.some(k => matched.has(k))) {
+        types.add(template.id);
+      } else if (doc && template.query && this._evaluateQueryInDoc(doc, template.query, matchMode).matched) {
+        types.add(template.id);
+      }
+    }
+
+    if (entities?.funding) types.add('funding');
+    if (entities?.hiring) types.add('hiring');
+    return [...types];
+  }
+
+  /**
+   * Rules of the built-in signal templates, parsed once
+   * @returns {object[]} [{ id, keywords, query }]
+   */
+  _builtInTemplateRules() {
+    if (!this._builtInTemplates) {
+      this._builtInTemplates = Object.entries(SIGNAL_TEMPLATES)
+        .filter(([id]) => id !== 'track_all')
+        .map(([id, template]) => this._templateRules(id, template));
+    }
+    return this._builtInTemplates;
+  }
+
+  /**
+   * Classification rules for one signal template
+   * @param {string} id - Template id
+   * @param {object} template - { keywords, query }
+   * @returns {object} { id, keywords (lowercased), query (AST or null) }
+   */
+  _templateRules(id, template) {
+    let query = null;
+
+    if (template.query) {
+      try {
+        query = parseQuery(template.query);
+      } catch (error) {
+        // Template queries are validated on write, so this only happens for legacy rows
+        logger.warn('Ignoring invalid signal template query', { templateId: id, error: error.message });
+      }
+    }
+
+    return {
+      id,
+      keywords: (template.keywords || [])
+        .map(k => (typeof k === 'string' ? k : k.keyword).toLowerCase()),
+      query
+    };
+  }
+
+
+  /**
+   * Score how confident a match is, from 0 to 100
+   * @param {object} factors
+   * @param {number} factors.weight - Keyword weight (default 1)
+   * @param {number} factors.signals - Distinct keywords/clauses matched in the post
+   * @param {number} factors.position - Offset of the first occurrence, 0 (start) to 1 (end)
+   * @param {object|null} factors.entities - Result of extractionService.extract
+   * @returns {number} Integer score
+   */
+  scoreMatch({ weight = DEFAULT_KEYWORD_WEIGHT, signals = 1, position = 0, entities = null }) {
+    let score = SCORE_POINTS.weight * weight;
+
+    score += Math.min((signals - 1) * SCORE_POINTS.signal, SCORE_POINTS.maxSignals);
+    score += SCORE_POINTS.position * (1 - Math.min(Math.max(position, 0), 1));
+
+    let entityPoints = 0;
+    if (entities?.funding && (entities.funding.amount || entities.funding.round)) {
+      entityPoints += SCORE_POINTS.funding;
+    }
+    if (entities?.hiring?.roles.length) {
+      entityPoints += SCORE_POINTS.hiring;
+    }
+    score += Math.min(entityPoints, SCORE_POINTS.maxEntities);
+
+    return Math.round(Math.min(Math.max(score, 0), 100));
   }
 
   /**
    * Extract snippet from post text
    * @param {string} postText - The full post text
    * @param {number} maxLength - Maximum snippet length (default 250)
+   * @param {object} focus - Optional { start, end } range to centre the snippet on
    * @returns {string} Snippet
    */
-  extractSnippet(postText, maxLength = 250) {
+  extractSnippet(postText, maxLength = 250, focus = null) {
     if (!postText) return '';
+
+    if (focus) {
+      return this._snippetWindow(postText, maxLength, focus).text;
+    }
     
     if (postText.length <= maxLength) {
       return postText;
@@ -53,52 +385,700 @@ class MatchingService {
   }
 
   /**
-   * Normalize text for matching: lowercase and remove punctuation
+   * Build a snippet centred on the first occurrence, with highlight ranges
+   * for every occurrence that falls inside it
+   * @param {string} postText - The full post text
+   * @param {object[]} occurrences - { start, end } offsets into postText
+   * @param {number} maxLength - Maximum snippet length, excluding ellipses
+   * @returns {object} { snippet, highlights: [{ start, end }] } with offsets into snippet
+   */
+  highlightSnippet(postText, occurrences, maxLength = 250) {
+    if (!postText) return { snippet: '', highlights: [] };
+
+    const sorted = this._offsets(occurrences || []);
+    if (sorted.length === 0) {
+      return { snippet: this.extractSnippet(postText, maxLength), highlights: [] };
+    }
+
+    const window = this._snippetWindow(postText, maxLength, sorted[0]);
+    const shift = window.prefix.length - window.start;
+
+    const highlights = sorted
+      .filter(o => o.start >= window.start && o.end <= window.end)
+      .map(o => ({ start: o.start + shift, end: o.end + shift }));
+
+    return { snippet: window.text, highlights };
+  }
+
+  /**
+   * Choose a window of at most maxLength characters around a focus range,
+   * widened to word boundaries on both sides
+   * @returns {object} { text, start, end, prefix } where start/end are offsets
+   *   into postText and prefix is the leading ellipsis ('' at the start of the post)
+   */
+  _snippetWindow(postText, maxLength, focus) {
+    if (postText.length <= maxLength) {
+      return { text: postText, start: 0, end: postText.length, prefix: '' };
+    }
+
+    const center = Math.floor((focus.start + focus.end) / 2);
+    let end = Math.min(postText.length, Math.max(center + Math.ceil(maxLength / 2), maxLength));
+    let start = Math.max(0, end - maxLength);
+
+    // Don't start or end mid-word, unless that would cut into the match itself
+    if (start > 0) {
+      const nextSpace = postText.slice(start, focus.start).search(/\s/);
+      if (nextSpace !== -1) start += nextSpace;
+      while (start < focus.start && /\s/.test(postText[start])) start++;
+    }
+    if (end < postText.length) {
+      const lastSpace = postText.slice(focus.end, end).search(/\s\S*$/);
+      if (lastSpace !== -1) end = focus.end + lastSpace;
+    }
+
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < postText.length ? '...' : '';
+
+    return {
+      text: prefix + postText.slice(start, end) + suffix,
+      start,
+      end,
+      prefix
+    };
+  }
+
+  /**
+   * Normalize text for matching: fold width and diacritics, lowercase and
+   * remove punctuation. Letters of every script are kept.
    * @param {string} text
    * @returns {string} Normalized text
    */
   _normalizeText(text) {
     return text
+      .normalize('NFKC')                          // Full-width and compatibility forms
+      .normalize('NFD')
+      .replace(/(\p{Script=Latin})\p{M}+/gu, '$1') // Fold Latin diacritics (é -> e)
+      .normalize('NFC')                           // Recompose marks of other scripts
       .toLowerCase()
-      .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-      .replace(/\s+/g, ' ')      // Normalize whitespace
+      .replace(/ß/g, 'ss')
+      // Emoji become tokens of their own; skin tones and selectors are ignored
+      .replace(EMOJI_PATTERN, emoji => ` ${emoji.replace(/\p{Emoji_Modifier}|\uFE0F/gu, '')} `)
+      .replace(/[^\p{L}\p{M}\p{N}_\s\p{Extended_Pictographic}\u200D]/gu, ' ') // Replace punctuation with spaces
+      .replace(/\s+/g, ' ')                       // Normalize whitespace
       .trim();
   }
 
   /**
-   * Process a post against keywords and return event data if matched
+   * Prepare post text for matching: split into normalized tokens that keep
+   * their character offsets in the original text
+   * @param {string} text
+   * @returns {object} { text, tokens, normalized, language } where each token is
+   *   { value, start, end, normalizedStart, sentence }
+   */
+  _analyze(text, meta = {}) {
+    const tokens = [];
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      const start = match.index;
+      const end = start + match[0].length;
+
+      // Normalization can split a word (e.g. compatibility characters)
+      for (const value of this._normalizeText(match[0]).split(' ')) {
+        if (value) tokens.push({ value, start, end });
+      }
+    }
+
+    // Position of each token in the space-joined normalized string
+    let offset = 0;
+    for (const token of tokens) {
+      token.normalizedStart = offset;
+      offset += token.value.length + 1;
+    }
+
+    // Sentence number of each token, for SENTENCE(...) queries
+    const boundaries = [...text.matchAll(SENTENCE_BOUNDARY)].map(m => m.index);
+    let sentence = 0;
+    for (const token of tokens) {
+      while (sentence < boundaries.length && boundaries[sentence] < token.start) {
+        sentence++;
+      }
+      token.sentence = sentence;
+    }
+
+    const values = tokens.map(t => t.value);
+
+    return {
+      text,
+      tokens,
+      normalized: values.join(' '),
+      language: detectLanguage(text, values),
+      hashtags: this._collectTags(text, meta.hashtags, findHashtags(text).map(h => ({ name: h.tag, start: h.start, end: h.end }))),
+      mentions: this._collectTags(text, meta.mentions, findMentions(text))
+    };
+  }
+
+  /**
+   * Merge a post's captured hashtags or mentions with those found in its text
+   * @param {string} text - Post text
+   * @param {Array<string|object>} captured - Tag names, or { name, start, end } from Apify
+   * @param {object[]} inText - { name, start, end } found in the text
+   * @returns {object[]} { value (normalized name), name, start, end }; start/end are
+   *   null when the tag can't be located in the text
+   */
+  _collectTags(text, captured, inText) {
+    const tags = [];
+    const seen = new Set();
+    const lowerText = text.toLowerCase();
+
+    const add = (name, start = null, end = null) => {
+      const value = this._normalizeText(name || '');
+      if (!value) return;
+
+      // A captured tag without offsets points at the first place its name appears
+      if (start === null) {
+        const index = lowerText.indexOf(name.toLowerCase());
+        if (index !== -1) {
+          start = index;
+          end = index + name.length;
+        }
+      }
+
+      const key = `${value}:${start}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      tags.push({ value, name, start, end });
+    };
+
+    for (const tag of inText) {
+      add(tag.name, tag.start, tag.end);
+    }
+    for (const tag of Array.isArray(captured) ? captured : []) {
+      const name = typeof tag === 'string' ? tag : tag?.name;
+      if (typeof tag === 'string' || tag?.start == null) {
+        // Skip captured tags already found in the text
+        const value = this._normalizeText(name || '');
+        if (tags.some(t => t.value === value)) continue;
+        add(name);
+      } else {
+        add(name, tag.start, tag.end);
+      }
+    }
+
+    return tags;
+  }
+
+  /**
+   * Sorted, de-duplicated { start, end } ranges of a list of occurrences
+   * @param {object[]} occurrences
+   * @returns {object[]}
+   */
+  _offsets(occurrences) {
+    const seen = new Set();
+
+    return occurrences
+      .filter(o => o.start !== null && o.start !== undefined)
+      .sort((a, b) => a.start - b.start)
+      .filter(o => {
+        const key = `${o.start}:${o.end}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(o => ({ start: o.start, end: o.end }));
+  }
+
+  /**
+   * Normalize a keyword list entry to { keyword, match, weight }
+   * @param {string|object} entry
+   * @param {string} defaultMode - Mode for plain string keywords
+   * @returns {object}
+   */
+  _toKeywordEntry(entry, defaultMode = 'substring') {
+    if (typeof entry === 'string') {
+      return { keyword: entry, match: defaultMode, weight: DEFAULT_KEYWORD_WEIGHT };
+    }
+    return {
+      keyword: entry.keyword,
+      match: entry.match || defaultMode,
+      weight: entry.weight ?? DEFAULT_KEYWORD_WEIGHT
+    };
+  }
+
+  /**
+   * Match a keyword list against an analyzed post
+   * @param {object} doc - Result of _analyze
+   * @param {Array<string|object>} keywords
+   * @param {string} matchMode - Default mode for plain string keywords
+   * @returns {object[]} { keyword, weight, occurrences } for each matched keyword
+   */
+  _findMatchesInDoc(doc, keywords, matchMode) {
+    const matches = [];
+
+    for (const entry of keywords || []) {
+      const { keyword, match, weight } = this._toKeywordEntry(entry, matchMode);
+      const occurrences = this._findKeyword(doc, keyword, match);
+
+      if (occurrences.length > 0) {
+        matches.push({ keyword, weight, occurrences });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Locate every occurrence of a keyword in an analyzed post
+   * @param {object} doc - Result of _analyze
+   * @param {string} keyword - Keyword or phrase
+   * @param {string} mode - One of MATCH_MODES
+   * @returns {object[]} { start, end, text } offsets into the original text
+   *   (regex occurrences also carry { groups, named } captures)
+   */
+  _findKeyword(doc, keyword, mode) {
+    if (mode === 'regex') {
+      return this._findRegex(doc, keyword);
+    }
+
+    const tagList = TAG_PREFIXES[keyword.trim()[0]];
+    if (tagList) {
+      return this._findTag(doc[tagList], keyword.trim().slice(1), doc);
+    }
+
+    const normalizedKeyword = this._normalizeText(keyword);
+    if (!normalizedKeyword) return [];
+
+    if (mode === 'substring') {
+      return this._findSubstring(doc, normalizedKeyword);
+    }
+
+    const keywordTokens = normalizedKeyword.split(' ');
+    const last = keywordTokens.length - 1;
+
+    // Stemming is English-only; other detected languages compare whole tokens
+    const useStems = mode === 'stem' && (!doc.language || doc.language === 'en');
+    const compare = useStems ? keywordTokens.map(stem) : keywordTokens;
+
+    const occurrences = [];
+
+    for (let i = 0; i + last < doc.tokens.length; i++) {
+      const found = compare.every((token, j) => {
+        const postToken = doc.tokens[i + j].value;
+        if (useStems) return stem(postToken) === token;
+        return mode === 'prefix' && j === last
+          ? postToken.startsWith(token)
+          : postToken === token;
+      });
+
+      if (found) {
+        occurrences.push(this._occurrence(doc, i, i + last));
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Substring search over the normalized text, mapped back to original offsets
+   * @param {object} doc - Result of _analyze
+   * @param {string} normalizedKeyword
+   * @returns {object[]} { start, end, text }
+   */
+  _findSubstring(doc, normalizedKeyword) {
+    const occurrences = [];
+    let index = doc.normalized.indexOf(normalizedKeyword);
+
+    while (index !== -1) {
+      const firstIndex = this._tokenAt(doc, index);
+      const lastIndex = index + normalizedKeyword.length - 1;
+      const lastTokenIndex = this._tokenAt(doc, lastIndex);
+      const first = doc.tokens[firstIndex];
+      const lastToken = doc.tokens[lastTokenIndex];
+
+      // Offsets inside a token are exact when normalization kept its length
+      const start = first.end - first.start === first.value.length
+        ? first.start + (index - first.normalizedStart)
+        : first.start;
+      const end = lastToken.end - lastToken.start === lastToken.value.length
+        ? lastToken.start + (lastIndex - lastToken.normalizedStart) + 1
+        : lastToken.end;
+
+      occurrences.push(this._occurrence(doc, firstIndex, lastTokenIndex, start, end));
+      index = doc.normalized.indexOf(normalizedKeyword, index + 1);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Run a regex keyword against the original post text
+   * @param {object} doc - Result of _analyze
+   * @param {string} pattern - Pattern validated by checkRegex on write
+   * @returns {object[]} { start, end, text, groups, named }
+   */
+  _findRegex(doc, pattern) {
+    let found;
+
+    try {
+      found = execRegex(pattern, doc.text);
+    } catch (error) {
+      // Timeouts (or rows saved before validation) count as no match
+      logger.warn('Regex keyword failed', { pattern, error: error.message });
+      return [];
+    }
+
+    return found
+      .filter(m => m.match)
+      .map(m => {
+        const start = m.index;
+        const end = m.index + m.match.length;
+
+        return {
+          start,
+          end,
+          text: m.match,
+          ...this._tokenRange(doc, start, end),
+          groups: m.groups,
+          named: m.named
+        };
+      });
+  }
+
+  /**
+   * Match a "#tag" or "@mention" keyword (prefix already removed) against the
+   * post's hashtags or mentions. A mention keyword may name the start of a
+   * longer name: "@Acme" matches "Acme Corp".
+   * @param {object[]} tags - doc.hashtags or doc.mentions
+   * @param {string} name - Keyword without its prefix
+   * @param {object} doc - Result of _analyze
+   * @returns {object[]} { start, end, text }; offsets are null for tags that
+   *   aren't in the text
+   */
+  _findTag(tags, name, doc) {
+    const normalizedName = this._normalizeText(name);
+    if (!normalizedName) return [];
+
+    return tags
+      .filter(tag => tag.value === normalizedName || tag.value.startsWith(`${normalizedName} `))
+      .map(tag => ({
+        start: tag.start,
+        end: tag.end,
+        text: tag.start !== null ? doc.text.slice(tag.start, tag.end) : tag.name,
+        ...(tag.start !== null
+          ? this._tokenRange(doc, tag.start, tag.end)
+          : { tokenStart: null, tokenEnd: null })
+      }));
+  }
+
+  /**
+   * Indexes of the first and last tokens overlapping a range of the original
+   * text, for proximity and sentence lookups
+   * @returns {object} { tokenStart, tokenEnd }
+   */
+  _tokenRange(doc, start, end) {
+    let first = doc.tokens.findIndex(t => t.end > start);
+    let last = doc.tokens.findLastIndex(t => t.start < end);
+    if (first === -1) first = Math.max(doc.tokens.length - 1, 0);
+    if (last < first) last = first;
+
+    return { tokenStart: first, tokenEnd: last };
+  }
+
+  /**
+   * Whether a keyword is only a hashtag or mention prefix, like "#" or "@ "
+   */
+  _isBareTagPrefix(keyword) {
+    const trimmed = keyword.trim();
+    return Boolean(TAG_PREFIXES[trimmed[0]]) && !this._normalizeText(trimmed.slice(1));
+  }
+
+  /**
+   * Find the index of the token covering a position in the normalized text
+   */
+  _tokenAt(doc, position) {
+    let found = 0;
+    for (let i = 0; i < doc.tokens.length; i++) {
+      if (doc.tokens[i].normalizedStart > position) break;
+      found = i;
+    }
+    return found;
+  }
+
+  /**
+   * Build an occurrence spanning tokens first..last. Character offsets default
+   * to the token edges.
+   */
+  _occurrence(doc, first, last, start = doc.tokens[first].start, end = doc.tokens[last].end) {
+    return {
+      start,
+      end,
+      text: doc.text.substring(start, end),
+      tokenStart: first,
+      tokenEnd: last
+    };
+  }
+
+  /**
+   * Evaluate a parsed query against an analyzed post
+   * @param {object} doc - Result of _analyze
+   * @param {object} ast - Query AST
+   * @param {string} matchMode - Mode for terms without a trailing *
+   * @returns {object} See evaluateQuery
+   */
+  _evaluateQueryInDoc(doc, ast, matchMode = 'substring') {
+    if (!ast) {
+      return { matched: false, clause: null, terms: [], occurrences: [] };
+    }
+
+    const branches = ast.type === 'or' ? ast.children : [ast];
+
+    for (const branch of branches) {
+      const hits = [];
+      if (this._evaluateNode(branch, doc, matchMode, hits)) {
+        return {
+          matched: true,
+          clause: stringifyQuery(branch),
+          terms: [...new Set(hits.map(h => h.term))],
+          occurrences: hits.flatMap(h => h.occurrences)
+        };
+      }
+    }
+
+    return { matched: false, clause: null, terms: [], occurrences: [] };
+  }
+
+  /**
+   * Evaluate a query AST node, collecting matched positive terms
+   * @param {object} node - Query AST node
+   * @param {object} doc - Result of _analyze
+   * @param {string} matchMode - Mode for terms without a trailing *
+   * @param {object[]} hits - Accumulator of { term, occurrences }
+   * @returns {boolean}
+   */
+  _evaluateNode(node, doc, matchMode, hits) {
+    switch (node.type) {
+      case 'term': {
+        const occurrences = this._findKeyword(doc, node.value, node.prefix ? 'prefix' : matchMode);
+        if (occurrences.length > 0) hits.push({ term: node.value, occurrences });
+        return occurrences.length > 0;
+      }
+      case 'not':
+        // Terms under NOT never count as matched evidence
+        return !this._evaluateNode(node.child, doc, matchMode, []);
+      case 'and': {
+        const branchHits = [];
+        const matched = node.children.every(child => this._evaluateNode(child, doc, matchMode, branchHits));
+        if (matched) hits.push(...branchHits);
+        return matched;
+      }
+      case 'or': {
+        let matched = false;
+        for (const child of node.children) {
+          if (this._evaluateNode(child, doc, matchMode, hits)) matched = true;
+        }
+        return matched;
+      }
+      case 'near':
+        return this._evaluateNear(node, doc, matchMode, hits);
+      case 'sentence':
+        return this._evaluateSentence(node, doc, matchMode, hits);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Locate a proximity operand (a term or an OR-list of terms)
+   * @returns {object[]} { term, occurrence } pairs
+   */
+  _operandOccurrences(node, doc, matchMode) {
+    const terms = node.type === 'term' ? [node] : node.children;
+
+    return terms.flatMap(term =>
+      this._findKeyword(doc, term.value, term.prefix ? 'prefix' : matchMode)
+        // Mentions known only from post metadata have no position to measure
+        // from, nor do tags whose offsets fall where the text has no words
+        .filter(occurrence => occurrence.tokenStart !== null && doc.tokens[occurrence.tokenStart])
+        .map(occurrence => ({ term: term.value, occurrence }))
+    );
+  }
+
+  /**
+   * a NEAR/n b: some occurrence of a and of b with at most n words between them
+   */
+  _evaluateNear(node, doc, matchMode, hits) {
+    const [left, right] = node.children.map(child => this._operandOccurrences(child, doc, matchMode));
+
+    for (const a of left) {
+      for (const b of right) {
+        const gap = a.occurrence.tokenEnd < b.occurrence.tokenStart
+          ? b.occurrence.tokenStart - a.occurrence.tokenEnd - 1
+          : a.occurrence.tokenStart - b.occurrence.tokenEnd - 1;
+
+        if (gap <= node.distance) {
+          hits.push(
+            { term: a.term, occurrences: [a.occurrence] },
+            { term: b.term, occurrences: [b.occurrence] }
+          );
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * SENTENCE(a, b, ...): every operand occurs inside the same sentence
+   */
+  _evaluateSentence(node, doc, matchMode, hits) {
+    const operands = node.children.map(child => this._operandOccurrences(child, doc, matchMode));
+    const sentenceOf = hit => doc.tokens[hit.occurrence.tokenStart].sentence;
+
+    for (const candidate of operands[0]) {
+      const sentence = sentenceOf(candidate);
+      const inSentence = operands.map(list => list.find(hit => sentenceOf(hit) === sentence));
+
+      if (inSentence.every(Boolean)) {
+        hits.push(...inSentence.map(hit => ({ term: hit.term, occurrences: [hit.occurrence] })));
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Process a post against matching rules and return event data if matched
    * @param {object} post - Post object with text, url, date
-   * @param {string[]} keywords - Keywords to match
+   * @param {object|string[]} rules - Rules from buildRules ({ keywords, query, excludeKeywords }),
+   *   or a plain keyword array
    * @param {string} profileId - Profile UUID
-   * @returns {array} Array of event objects (one per matched keyword)
+   * @param {object} options - { silent } skips per-post logging (used when replaying history)
+   * @returns {object|null} One event for the post, listing every matched keyword
+   *   and query clause in matched_keywords, or null if nothing matched
    */
-  processPost(post, keywords, profileId) {
-    const matches = this.findMatches(post.text, keywords);
-    
-    if (matches.length === 0) {
-      return [];
+  processPost(post, rules, profileId, options = {}) {
+    const {
+      keywords = [],
+      query = null,
+      excludeKeywords = [],
+      matchMode,
+      languages = null,
+      templates = []
+    } = Array.isArray(rules) ? { keywords: rules } : rules;
+
+    const doc = this._analyze(post.text || '', post);
+    const { language } = doc;
+
+    // Posts in a language the profile filters out are skipped; undetected ones pass
+    if (languages && language && !languages.includes(language)) {
+      logger.debug('Skipping post outside profile languages', {
+        profileId,
+        language,
+        postUrl: post.post_url
+      });
+      return null;
+    }
+
+    const matches = this._findMatchesInDoc(doc, keywords, matchMode);
+    const queryResult = this._evaluateQueryInDoc(doc, query, matchMode);
+
+    if (matches.length === 0 && !queryResult.matched) {
+      return null;
+    }
+
+    // Any exclusion keyword in the same post vetoes every match
+    const exclusions = this._findMatchesInDoc(doc, excludeKeywords, matchMode);
+    if (exclusions.length > 0) {
+      if (!options.silent) {
+        logger.info('Matches suppressed by exclude keywords', {
+          profileId,
+          keywords: matches.map(m => m.keyword),
+          excludedBy: exclusions.map(m => m.keyword),
+          postUrl: post.post_url
+        });
+      }
+      return null;
     }
 
-    const snippet = this.extractSnippet(post.text);
-    const events = [];
+    // Funding and hiring details, shared by every match in this post
+    const entities = extractionService.extract(post.text);
+    const signals = matches.length + (queryResult.matched ? 1 : 0);
+    const textLength = Math.max(doc.text.length, 1);
+    const matchedKeywords = [];
 
-    for (const keyword of matches) {
-      events.push({
-        profile_id: profileId,
+    for (const { keyword, weight, occurrences } of matches) {
+      const [first] = occurrences;
+
+      matchedKeywords.push({
         keyword,
-        post_url: post.post_url,
-        post_date: post.post_date,
-        snippet
+        // Literal text in the post, e.g. "hired" for the stemmed keyword "hire"
+        matched_text: first.text,
+        matched_clause: null,
+        // Regex keywords only: captured groups of every match
+        captures: first.groups
+          ? occurrences.map(o => ({ match: o.text, groups: o.groups, named: o.named }))
+          : null,
+        score: this.scoreMatch({ weight, signals, position: first.start / textLength, entities })
+      });
+    }
+
+    if (queryResult.matched) {
+      const firstStart = Math.min(...queryResult.occurrences.map(o => o.start));
+
+      matchedKeywords.push({
+        keyword: queryResult.clause,
+        matched_text: [...new Set(queryResult.occurrences.map(o => o.text))].join(', '),
+        matched_clause: queryResult.clause,
+        captures: null,
+        score: this.scoreMatch({
+          signals,
+          position: Number.isFinite(firstStart) ? firstStart / textLength : 0,
+          entities
+        })
       });
     }
 
-    logger.info(`Found ${matches.length} keyword matches`, { 
-      profileId, 
-      keywords: matches,
-      postUrl: post.post_url 
-    });
+    const occurrences = [
+      ...matches.flatMap(m => m.occurrences),
+      ...queryResult.occurrences
+    ];
+    const { snippet, highlights } = this.highlightSnippet(post.text, occurrences);
+
+    const event = {
+      profile_id: profileId,
+      post_url: post.post_url,
+      post_date: post.post_date,
+      post_text: post.text,
+      matched_keywords: matchedKeywords,
+      matched_clause: queryResult.clause,
+      signal_types: this.classifySignals(matchedKeywords.map(m => m.keyword), entities, {
+        doc,
+        templates,
+        matchMode
+      }),
+      hashtags: doc.hashtags.map(t => t.name),
+      mentions: doc.mentions.map(t => t.name),
+      snippet,
+      // Offsets into snippet and into post_text, for highlighting
+      snippet_highlights: highlights,
+      match_offsets: this._offsets(occurrences),
+      language,
+      entities,
+      score: Math.max(...matchedKeywords.map(m => m.score))
+    };
+
+    if (!options.silent) {
+      logger.info(`Found ${matchedKeywords.length} keyword matches`, { 
+        profileId, 
+        keywords: matches.map(m => m.keyword),
+        clause: queryResult.clause,
+        signalTypes: event.signal_types,
+        postUrl: post.post_url 
+      });
+    }
 
-    return events;
+    return event;
   }
 }
 
@@ -0,0 +1,121 @@
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+
+// Most recent stored posts loaded for a single replay
+const MAX_REPLAY_POSTS = 2000;
+
+// Profile ids per query, to keep the request URL short
+const PROFILE_BATCH_SIZE = 100;
+
+// Rows per request; PostgREST returns at most its max-rows setting (1000 by default)
+const PAGE_SIZE = 1000;
+
+class PostStoreService {
+  /**
+   * Save the posts fetched for a profile. Posts already stored are left as
+   * they are, so rescans don't rewrite history.
+   * @param {string} profileId - Profile UUID
+   * @param {object[]} posts - Posts from apifyService ({ text, post_url, post_date, hashtags, mentions })
+   */
+  async savePosts(profileId, posts) {
+    const rows = (posts || [])
+      .filter(post => post.post_url && post.text)
+      .map(post => ({
+        profile_id: profileId,
+        post_url: post.post_url,
+        post_date: post.post_date,
+        text: post.text,
+        hashtags: post.hashtags || [],
+        mentions: post.mentions || []
+      }));
+
+    if (rows.length === 0) return;
+
+    const { error } = await supabase
+      .from('posts')
+      .upsert(rows, { onConflict: 'profile_id,post_url', ignoreDuplicates: true });
+
+    if (error) {
+      // Post history only feeds dry runs; never fail a scan over it
+      logger.error('Failed to store posts', error, { profileId, count: rows.length });
+    }
+  }
+
+  /**
+   * Load stored posts for a set of profiles, newest first, up to the
+   * MAX_REPLAY_POSTS most recent
+   * @param {string[]} profileIds - Profile UUIDs
+   * @param {object} options - { since } ISO timestamp to limit how far back to go
+   * @returns {Promise<object>} { posts, truncated } where posts are in the apifyService
+   *   shape plus profile_id, and truncated is true if older posts were left out
+   */
+  async getPosts(profileIds, options = {}) {
+    if (!profileIds || profileIds.length === 0) return { posts: [], truncated: false };
+
+    // The newest posts so far, at most one more than the cap: the extra one
+    // tells whether anything was left out
+    let posts = [];
+
+    for (let i = 0; i < profileIds.length; i += PROFILE_BATCH_SIZE) {
+      // Once over the cap, only posts newer than the oldest one kept can still make it
+      const cutoff = posts.length > MAX_REPLAY_POSTS ? posts[posts.length - 1].post_date : null;
+      const batch = await this._loadNewest(profileIds.slice(i, i + PROFILE_BATCH_SIZE), options.since, cutoff);
+
+      posts = posts.concat(batch)
+        .sort((a, b) => this._time(b.post_date) - this._time(a.post_date))
+        .slice(0, MAX_REPLAY_POSTS + 1);
+    }
+
+    return {
+      posts: posts.slice(0, MAX_REPLAY_POSTS),
+      truncated: posts.length > MAX_REPLAY_POSTS
+    };
+  }
+
+  /**
+   * Load up to MAX_REPLAY_POSTS + 1 of the newest posts of some profiles,
+   * a page at a time
+   * @param {string[]} profileIds - At most PROFILE_BATCH_SIZE profile UUIDs
+   * @param {string|null} since - Only posts from this ISO timestamp on
+   * @param {string|null} after - Only posts newer than this ISO timestamp
+   * @returns {Promise<object[]>} Posts, newest first
+   */
+  async _loadNewest(profileIds, since, after) {
+    const posts = [];
+
+    while (posts.length <= MAX_REPLAY_POSTS) {
+      const from = posts.length;
+      const to = Math.min(from + PAGE_SIZE, MAX_REPLAY_POSTS + 1) - 1;
+
+      let query = supabase
+        .from('posts')
+        .select('profile_id, post_url, post_date, text, hashtags, mentions')
+        .in('profile_id', profileIds)
+        .order('post_date', { ascending: false, nullsFirst: false })
+        // A unique tiebreaker, so pages neither skip nor repeat posts
+        .order('id', { ascending: true })
+        .range(from, to);
+
+      if (since) query = query.gte('post_date', since);
+      if (after) query = query.gt('post_date', after);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to load stored posts: ${error.message}`);
+      }
+
+      posts.push(...(data || []));
+      if (!data || data.length < to - from + 1) break;
+    }
+
+    return posts;
+  }
+
+  // Undated posts sort last, as in the database
+  _time(date) {
+    return date ? new Date(date).getTime() : -Infinity;
+  }
+}
+
+module.exports = new PostStoreService();
@@ -0,0 +1,395 @@
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const { parseCsv } = require('../utils/csv');
+const { PLAN_LIMITS } = require('../middleware/auth');
+const jobQueueService = require('./job-queue');
+const matchingService = require('./matching');
+const profileRegistryService = require('./profile-registry');
+const signalTemplateService = require('./signal-templates');
+
+const PROFILE_IMPORT_JOB = 'profile_import';
+
+const MAX_IMPORT_ROWS = 10000;
+
+// Imports with more rows than this run in the background as a job
+const SYNC_IMPORT_ROWS = 100;
+
+const INSERT_BATCH_SIZE = 500;
+
+const MAX_LABELS = 20;
+const MAX_LABEL_LENGTH = 50;
+
+// CSV cells holding several values (keywords, templates, labels) separate them with ; or |
+const LIST_SEPARATOR = /[;|]/;
+
+class ProfileImportService {
+  constructor() {
+    jobQueueService.register(PROFILE_IMPORT_JOB, payload => this.runImport(payload), {
+      onFailed: (payload, error) => this._markFailed(payload.import_id, error)
+    });
+  }
+
+  /**
+   * Read import rows from CSV text or a JSON array
+   * @param {object} input - { csv } or { profiles }
+   * @returns {object} { rows } or { error }
+   */
+  parseRows({ csv, profiles }) {
+    let records;
+
+    if (typeof csv === 'string') {
+      records = parseCsv(csv);
+    } else if (Array.isArray(profiles)) {
+      if (profiles.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+        return { error: 'Each profile must be an object' };
+      }
+      records = profiles;
+    } else {
+      return { error: 'Send a CSV file (Content-Type: text/csv), csv text or a profiles array' };
+    }
+
+    if (records.length === 0) {
+      return { error: 'No profiles to import' };
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { error: `At most ${MAX_IMPORT_ROWS} profiles can be imported at once` };
+    }
+
+    return { rows: records.map(record => this._normalizeRow(record)) };
+  }
+
+  /**
+   * Start an import. Small imports run straight away; larger ones are queued.
+   * @param {object} user - Importing user
+   * @param {object[]} rows - From parseRows
+   * @param {string} source - 'csv' or 'json'
+   * @returns {Promise<object>} { import, report } where report is null for queued imports
+   */
+  async createImport(user, rows, source) {
+    const runNow = rows.length <= SYNC_IMPORT_ROWS;
+
+    const { data: profileImport, error } = await supabase
+      .from('profile_imports')
+      .insert({
+        user_id: user.id,
+        source,
+        status: runNow ? 'running' : 'queued',
+        total_rows: rows.length,
+        // Kept only until a queued import has run
+        rows: runNow ? null : rows
+      })
+      .select('id, status, source, total_rows, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create import: ${error.message}`);
+    }
+
+    if (!runNow) {
+      try {
+        await jobQueueService.enqueue(PROFILE_IMPORT_JOB, { import_id: profileImport.id }, {
+          dedupeKey: `${PROFILE_IMPORT_JOB}:${profileImport.id}`,
+          maxAttempts: 2
+        });
+      } catch (enqueueError) {
+        // Nothing would ever run the import, so it must not stay queued
+        await this._markFailed(profileImport.id, enqueueError);
+        throw enqueueError;
+      }
+      return { import: profileImport, report: null };
+    }
+
+    try {
+      const report = await this.importRows(user, rows);
+      await this._markCompleted(profileImport.id, report);
+      return { import: { ...profileImport, status: 'completed' }, report };
+    } catch (error) {
+      await this._markFailed(profileImport.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a queued import
+   * @param {object} payload - { import_id }
+   */
+  async runImport({ import_id: importId }) {
+    const { data: profileImport, error } = await supabase
+      .from('profile_imports')
+      .select('id, user_id, rows, users(id, plan)')
+      .eq('id', importId)
+      .single();
+
+    if (error || !profileImport) {
+      throw new Error(`Import ${importId} not found`);
+    }
+
+    await supabase
+      .from('profile_imports')
+      .update({ status: 'running' })
+      .eq('id', importId);
+
+    const report = await this.importRows(profileImport.users, profileImport.rows || []);
+    await this._markCompleted(importId, report);
+
+    logger.info('Profile import completed', {
+      importId,
+      accepted: report.accepted,
+      rejected: report.rejected
+    });
+  }
+
+  /**
+   * Validate rows, skip profiles already monitored and add the rest, up to
+   * the user's plan limit
+   * @param {object} user - { id, plan }
+   * @param {object[]} rows - From parseRows
+   * @returns {Promise<object>} { total, accepted, rejected, rows } with one
+   *   { row, linkedin_url, status: accepted|rejected, reason, profile_id, campaign } per row
+   */
+  async importRows(user, rows) {
+    const urlChecks = await profileRegistryService.classifyUrls(
+      user.id,
+      rows.map(row => row.linkedin_url || '')
+    );
+
+    const campaigns = await this._loadCampaigns(user.id);
+
+    // Every template any row or campaign refers to, resolved once
+    const templateIds = new Set();
+    for (const row of rows) row.template_ids.forEach(id => templateIds.add(id));
+    for (const campaign of campaigns.byId.values()) {
+      signalTemplateService.campaignTemplateIds(campaign).forEach(id => templateIds.add(id));
+    }
+    const { templates } = await signalTemplateService.resolveTemplates(user.id, [...templateIds]);
+    const templatesById = new Map(templates.map(t => [t.id, t]));
+
+    const report = rows.map((row, i) => ({
+      row: i + 1,
+      linkedin_url: urlChecks[i].linkedin_url || row.linkedin_url || null
+    }));
+    const candidates = [];
+
+    rows.forEach((row, i) => {
+      const result = this._prepareRow(row, urlChecks[i], campaigns, templatesById);
+
+      if (result.reason) {
+        Object.assign(report[i], { status: 'rejected', reason: result.reason, campaign: result.campaign || null });
+      } else {
+        candidates.push({ index: i, profile: { user_id: user.id, ...result.profile }, campaign: result.campaign });
+      }
+    });
+
+    // Only add as many as the plan has room for; paused profiles don't count
+    const count = await profileRegistryService.countActive(user.id);
+    const planLimit = PLAN_LIMITS[user.plan] || PLAN_LIMITS.free;
+    const room = Math.max(0, planLimit - count);
+
+    for (const candidate of candidates.slice(room)) {
+      Object.assign(report[candidate.index], {
+        status: 'rejected',
+        reason: `Profile limit reached. Your ${user.plan} plan allows ${planLimit} profiles`,
+        campaign: null
+      });
+    }
+
+    await this._insertProfiles(candidates.slice(0, room), report);
+
+    const accepted = report.filter(r => r.status === 'accepted').length;
+
+    return {
+      total: rows.length,
+      accepted,
+      rejected: rows.length - accepted,
+      rows: report
+    };
+  }
+
+  /**
+   * Import rows in API shape, whatever field names the CSV or JSON used
+   */
+  _normalizeRow(record) {
+    return {
+      linkedin_url: this._text(record.linkedin_url ?? record.url ?? record.profile_url),
+      keywords: this._list(record.keywords),
+      template_ids: this._list(record.template_ids ?? record.templates ?? record.template),
+      campaign: this._text(record.campaign_id ?? record.campaign),
+      labels: this._list(record.labels ?? record.label)
+    };
+  }
+
+  _text(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  _list(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return [];
+    return value.split(LIST_SEPARATOR).map(v => v.trim()).filter(Boolean);
+  }
+
+  /**
+   * Check one row and build its profile
+   * @returns {object} { profile, campaign } or { reason, campaign }
+   */
+  _prepareRow(row, urlCheck, campaigns, templatesById) {
+    if (!row.linkedin_url) {
+      return { reason: 'Missing linkedin_url' };
+    }
+    if (urlCheck.status === 'invalid') {
+      return { reason: 'Invalid LinkedIn URL. Must be a profile URL (linkedin.com/in/...)' };
+    }
+    if (urlCheck.status === 'duplicate') {
+      return { reason: 'Duplicate of an earlier row' };
+    }
+    if (urlCheck.status === 'already_monitored') {
+      return { reason: 'Already monitored', campaign: urlCheck.campaign };
+    }
+
+    let campaign = null;
+    if (row.campaign) {
+      campaign = campaigns.byId.get(row.campaign) || campaigns.byName.get(row.campaign.toLowerCase());
+      if (!campaign) {
+        return { reason: `Campaign not found: ${row.campaign}` };
+      }
+    }
+
+    const unknownTemplate = row.template_ids.find(id => !templatesById.has(id));
+    if (unknownTemplate) {
+      return { reason: `Unknown signal template: ${unknownTemplate}` };
+    }
+
+    if (row.keywords.length > 0) {
+      const keywordsError = matchingService.validateKeywords(row.keywords);
+      if (keywordsError) return { reason: keywordsError };
+    }
+
+    if (row.labels.length > MAX_LABELS ||
+        row.labels.some(label => typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH)) {
+      return { reason: `labels must be at most ${MAX_LABELS} strings of up to ${MAX_LABEL_LENGTH} characters` };
+    }
+
+    // The campaign's templates, the row's templates and its own keywords together
+    const rowTemplates = [...new Set([
+      ...(campaign ? signalTemplateService.campaignTemplateIds(campaign) : []),
+      ...row.template_ids
+    ])].map(id => templatesById.get(id)).filter(Boolean);
+    const combinationError = signalTemplateService.validateCombination(
+      rowTemplates,
+      campaign ? campaign.query : null
+    );
+    if (combinationError) return { reason: combinationError };
+
+    const matching = signalTemplateService.combineTemplates(
+      [...rowTemplates, { keywords: row.keywords }],
+      campaign ? campaign.query : null
+    );
+
+    if (matching.keywords.length === 0 && !matching.query) {
+      return { reason: 'Needs keywords, a signal template or a campaign with templates' };
+    }
+
+    const summary = campaign ? { id: campaign.id, name: campaign.name } : null;
+
+    return {
+      campaign: summary,
+      profile: {
+        campaign_id: campaign ? campaign.id : null,
+        linkedin_url: urlCheck.linkedin_url,
+        profile_key: urlCheck.profile_key,
+        keywords: matching.keywords,
+        query: matching.query,
+        exclude_keywords: matching.exclude_keywords,
+        match_mode: 'token',
+        labels: [...new Set(row.labels.map(label => label.trim()))],
+        next_scan_at: new Date().toISOString() // Scan ASAP
+      }
+    };
+  }
+
+  async _loadCampaigns(userId) {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to load campaigns: ${error.message}`);
+    }
+
+    const byId = new Map();
+    const byName = new Map();
+    for (const campaign of data || []) {
+      byId.set(campaign.id, campaign);
+      // Campaigns without a name can only be referred to by id
+      if (campaign.name) byName.set(campaign.name.toLowerCase(), campaign);
+    }
+
+    return { byId, byName };
+  }
+
+  /**
+   * Insert accepted profiles and fill in their report rows. A profile added
+   * by something else since the rows were checked is reported as already monitored.
+   */
+  async _insertProfiles(candidates, report) {
+    for (let i = 0; i < candidates.length; i += INSERT_BATCH_SIZE) {
+      const batch = candidates.slice(i, i + INSERT_BATCH_SIZE);
+
+      const { data, error } = await supabase
+        .from('profiles')
+        .upsert(batch.map(c => c.profile), { onConflict: 'user_id,profile_key', ignoreDuplicates: true })
+        .select('id, profile_key');
+
+      if (error) {
+        throw new Error(`Failed to insert profiles: ${error.message}`);
+      }
+
+      const inserted = new Map((data || []).map(p => [p.profile_key, p.id]));
+
+      for (const candidate of batch) {
+        const profileId = inserted.get(candidate.profile.profile_key);
+
+        Object.assign(report[candidate.index], profileId
+          ? { status: 'accepted', profile_id: profileId, campaign: candidate.campaign }
+          : { status: 'rejected', reason: 'Already monitored', campaign: null });
+      }
+    }
+  }
+
+  async _markCompleted(importId, report) {
+    const { error } = await supabase
+      .from('profile_imports')
+      .update({
+        status: 'completed',
+        accepted_rows: report.accepted,
+        rejected_rows: report.rejected,
+        report: report.rows,
+        rows: null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', importId);
+
+    if (error) {
+      logger.error('Failed to save import report', error, { importId });
+    }
+  }
+
+  async _markFailed(importId, error) {
+    const { error: updateError } = await supabase
+      .from('profile_imports')
+      .update({
+        status: 'failed',
+        error: error.message,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', importId);
+
+    if (updateError) {
+      logger.error('Failed to mark import failed', updateError, { importId });
+    }
+  }
+}
+
+module.exports = new ProfileImportService();
@@ -0,0 +1,209 @@
+const { supabase } = require('../utils/db');
+const { canonicalizeProfileUrl } = require('../utils/linkedin-url');
+
+// Keys per lookup query, to keep the request URL short
+const LOOKUP_BATCH_SIZE = 200;
+
+// Profiles paused or resumed in one request
+const MAX_STATUS_CHANGE = 1000;
+
+class ProfileRegistryService {
+  /**
+   * Canonicalize profile URLs and check them against the user's monitored
+   * profiles. Each URL comes back with a status:
+   * - new: not monitored yet
+   * - already_monitored: the user has this profile (profile and campaign are set)
+   * - duplicate: the same profile appears earlier in the list
+   * - invalid: not a LinkedIn profile URL
+   * @param {string} userId - User UUID
+   * @param {string[]} urls - URLs as sent by the user
+   * @returns {Promise<object[]>} { input, linkedin_url, profile_key, status, profile, campaign },
+   *   in the order given
+   */
+  async classifyUrls(userId, urls) {
+    const seen = new Set();
+
+    const results = urls.map(input => {
+      const canonical = canonicalizeProfileUrl(input);
+
+      if (!canonical) {
+        return { input, linkedin_url: null, profile_key: null, status: 'invalid' };
+      }
+
+      const status = seen.has(canonical.key) ? 'duplicate' : 'new';
+      seen.add(canonical.key);
+
+      return { input, linkedin_url: canonical.url, profile_key: canonical.key, status };
+    });
+
+    const existing = await this.findMonitored(userId, [...seen]);
+
+    for (const result of results) {
+      const profile = result.status === 'new' && existing.get(result.profile_key);
+      if (!profile) continue;
+
+      result.status = 'already_monitored';
+      result.profile = { id: profile.id, linkedin_url: profile.linkedin_url };
+      result.campaign = profile.campaigns || null;
+    }
+
+    return results;
+  }
+
+  /**
+   * Profiles the user is actively monitoring. Paused profiles are not
+   * scanned, so they don't count toward the plan's profile limit.
+   * @param {string} userId - User UUID
+   * @returns {Promise<number>}
+   */
+  async countActive(userId) {
+    const { count, error } = await supabase
+      .from('profiles')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', 'active');
+
+    if (error) {
+      throw new Error(`Failed to count profiles: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Column updates that resume a paused profile: a clean health record and
+   * a scan on the next scheduler run
+   */
+  resumeUpdates() {
+    return {
+      status: 'active',
+      paused_reason: null,
+      health: 'ok',
+      health_error: null,
+      consecutive_failures: 0,
+      next_scan_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Stop scanning profiles. Their events and posts are kept.
+   * @param {string} userId - User UUID
+   * @param {object} selection - { profile_ids } or { label }
+   * @returns {Promise<string[]>} Ids of the profiles paused
+   */
+  async pause(userId, selection) {
+    const { data, error } = await this._inSelection(
+      supabase.from('profiles').update({ status: 'paused', paused_reason: 'user' }),
+      userId,
+      selection,
+      'active'
+    ).select('id');
+
+    if (error) {
+      throw new Error(`Failed to pause profiles: ${error.message}`);
+    }
+
+    return data.map(p => p.id);
+  }
+
+  /**
+   * Resume paused profiles, oldest first, as far as the plan limit allows
+   * @param {string} userId - User UUID
+   * @param {object} selection - { profile_ids } or { label }
+   * @param {number} planLimit - Profiles the user's plan allows
+   * @returns {Promise<object>} { resumed, not_resumed } profile ids; not_resumed
+   *   are left paused because the plan limit was reached
+   */
+  async resume(userId, selection, planLimit) {
+    const { data: paused, error } = await this._inSelection(
+      supabase.from('profiles').select('id'),
+      userId,
+      selection,
+      'paused'
+    ).order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load paused profiles: ${error.message}`);
+    }
+
+    const room = Math.max(0, planLimit - await this.countActive(userId));
+    const ids = paused.map(p => p.id);
+    const toResume = ids.slice(0, room);
+
+    if (toResume.length > 0) {
+      const { error: updateError } = await supabase
+        .from('profiles')
+        .update(this.resumeUpdates())
+        .eq('user_id', userId)
+        .in('id', toResume);
+
+      if (updateError) {
+        throw new Error(`Failed to resume profiles: ${updateError.message}`);
+      }
+    }
+
+    return { resumed: toResume, not_resumed: ids.slice(room) };
+  }
+
+  /**
+   * Validate a pause/resume selection
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateSelection({ profile_ids, label }) {
+    if (profile_ids === undefined && label === undefined) {
+      return 'Send profile_ids or label';
+    }
+    if (profile_ids !== undefined &&
+        (!Array.isArray(profile_ids) || profile_ids.length === 0 ||
+         profile_ids.some(id => typeof id !== 'string'))) {
+      return 'profile_ids must be a non-empty array of profile ids';
+    }
+    if (profile_ids !== undefined && profile_ids.length > MAX_STATUS_CHANGE) {
+      return `At most ${MAX_STATUS_CHANGE} profile_ids per request`;
+    }
+    if (label !== undefined && (typeof label !== 'string' || !label.trim())) {
+      return 'label must be a non-empty string';
+    }
+    return null;
+  }
+
+  /**
+   * Limit a profiles query to the user's profiles in a selection with a given status
+   */
+  _inSelection(query, userId, { profile_ids, label }, status) {
+    query = query.eq('user_id', userId).eq('status', status);
+    if (profile_ids) query = query.in('id', profile_ids);
+    if (label) query = query.contains('labels', [label]);
+    return query;
+  }
+
+  /**
+   * The user's profiles with the given canonical keys
+   * @param {string} userId - User UUID
+   * @param {string[]} keys - Canonical profile keys
+   * @returns {Promise<Map>} key -> { id, linkedin_url, profile_key, campaigns: { id, name } | null }
+   */
+  async findMonitored(userId, keys) {
+    const found = new Map();
+
+    for (let i = 0; i < keys.length; i += LOOKUP_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('id, linkedin_url, profile_key, campaigns(id, name)')
+        .eq('user_id', userId)
+        .in('profile_key', keys.slice(i, i + LOOKUP_BATCH_SIZE));
+
+      if (error) {
+        throw new Error(`Failed to look up monitored profiles: ${error.message}`);
+      }
+
+      for (const profile of data || []) {
+        found.set(profile.profile_key, profile);
+      }
+    }
+
+    return found;
+  }
+}
+
+module.exports = new ProfileRegistryService();
@@ -0,0 +1,74 @@
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const { instanceId } = require('../utils/instance');
+
+class ScanLogService {
+  /**
+   * Record the start of an Apify run
+   * @param {string} trigger - 'scheduled' or 'profile' (a single profile scanned on demand)
+   * @param {number} profileCount - Profiles sent to Apify
+   * @returns {Promise<string|null>} scan_runs id, or null if it could not be saved
+   */
+  async startRun(trigger, profileCount) {
+    const { data: run, error } = await supabase
+      .from('scan_runs')
+      .insert({
+        trigger,
+        instance_id: instanceId,
+        status: 'running',
+        profiles_requested: profileCount
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      // The log is for visibility only; never fail a scan over it
+      logger.error('Failed to record scan run', error, { trigger });
+      return null;
+    }
+
+    return run.id;
+  }
+
+  /**
+   * Record how a run ended and what happened to each profile in it
+   * @param {string|null} runId - From startRun
+   * @param {object[]} profileScans - { profile_id, user_id, outcome, posts_found, new_posts, events_created, error }
+   * @param {Error|null} error - Set if the run itself failed
+   */
+  async finishRun(runId, profileScans, error = null) {
+    if (!runId) return;
+
+    const total = field => profileScans.reduce((sum, scan) => sum + (scan[field] || 0), 0);
+
+    const { error: runError } = await supabase
+      .from('scan_runs')
+      .update({
+        status: error ? 'failed' : 'completed',
+        finished_at: new Date().toISOString(),
+        profiles_scanned: profileScans.filter(scan => scan.outcome !== 'not_returned').length,
+        posts_found: total('posts_found'),
+        new_posts: total('new_posts'),
+        events_created: total('events_created'),
+        profile_errors: profileScans.filter(scan => scan.outcome === 'error').length,
+        error: error ? error.message : null
+      })
+      .eq('id', runId);
+
+    if (runError) {
+      logger.error('Failed to update scan run', runError, { runId });
+    }
+
+    if (profileScans.length === 0) return;
+
+    const { error: scansError } = await supabase
+      .from('profile_scans')
+      .insert(profileScans.map(scan => ({ scan_run_id: runId, ...scan })));
+
+    if (scansError) {
+      logger.error('Failed to record profile scans', scansError, { runId, count: profileScans.length });
+    }
+  }
+}
+
+module.exports = new ScanLogService();
@@ -3,33 +3,107 @@ const { supabase } = require('../utils/db');
 const logger = require('../utils/logger');
 const apifyService = require('./apify');
 const matchingService = require('./matching');
+const postStoreService = require('./post-store');
+const jobQueueService = require('./job-queue');
+const scanLogService = require('./scan-log');
+const signalTemplateService = require('./signal-templates');
+const { instanceId } = require('../utils/instance');
 const axios = require('axios');
 
-// Scan intervals by plan (in hours)
+// Scan interval bounds by plan (in hours). Each profile is scanned about as
+// often as it posts, clamped to min/max; `default` applies until its posting
+// cadence is known.
 const SCAN_INTERVALS = {
-  free: 48,
-  basic: 24,
-  business: 24
+  free: { min: 24, default: 48, max: 168 },
+  basic: { min: 12, default: 24, max: 96 },
+  business: { min: 6, default: 24, max: 72 }
 };
 
-const BATCH_SIZE = 200; // Process up to 200 profiles per hour
+// Weight of the newest gap between posts in a profile's learned posting interval
+const CADENCE_SMOOTHING = 0.3;
+
+// Consecutive failed scans (not found, private or an error) before a profile
+// is marked repeated_failure, and before it is paused. Each failure also
+// doubles the time until the next scan, up to the plan's max.
+const REPEATED_FAILURE_THRESHOLD = 3;
+const FAILURES_BEFORE_PAUSE = 5;
+const FAILED_STATES = new Set(['not_found', 'private', 'error']);
+
+// Deepest a scan goes to catch up with a profile that posted more since its
+// last scan than its post depth covers
+const CATCH_UP_MAX_POSTS = 50;
+
+// Profiles sent to Apify in one run
+const CHUNK_SIZE = parseInt(process.env.SCAN_CHUNK_SIZE) || 200;
+
+// Global cap on profiles scanned per hour, across all accounts
+const PROFILES_PER_HOUR = parseInt(process.env.SCAN_PROFILES_PER_HOUR) || 5000;
+
+// How often the due backlog is drained; each tick scans up to its share of
+// the hourly throughput, so the backlog is worked through continuously
+const TICK_MINUTES = 5;
+const PROFILES_PER_TICK = Math.max(1, Math.floor(PROFILES_PER_HOUR * TICK_MINUTES / 60));
+
+// How long a profile stays claimed by the instance scanning it. Profiles
+// that fail to process are released when the claim lapses.
+const SCAN_CLAIM_SECONDS = 60 * 60;
+
+// Only the instance holding this lease queues scans from the cron. It is
+// renewed every tick and outlives one missed tick before another takes over.
+const LEADER_LEASE = 'scheduler';
+const LEADER_LEASE_SECONDS = TICK_MINUTES * 60 * 2;
+
+// Profile fields needed to scan, match and notify
+const PROFILE_SCAN_COLUMNS = `
+  id,
+  user_id,
+  linkedin_url,
+  keywords,
+  query,
+  exclude_keywords,
+  match_mode,
+  languages,
+  last_post_timestamp,
+  post_interval_hours,
+  post_depth,
+  health,
+  consecutive_failures,
+  users!inner(plan, webhook_url, webhook_min_score, exclude_keywords),
+  campaigns(exclude_keywords, template_ids, signal_types)
+`;
+
+// Job types run by jobQueueService
+const JOB_TYPES = {
+  SCHEDULED_SCAN: 'scheduled_scan',
+  PROFILE_SCAN: 'profile_scan'
+};
 
 class SchedulerService {
   constructor() {
     this.isRunning = false;
+    this.isLeader = false;
     this.cronJob = null;
+
+    jobQueueService.register(JOB_TYPES.SCHEDULED_SCAN, () => this.runScan());
+    // Jobs queued before batches carry a single profile_id
+    jobQueueService.register(JOB_TYPES.PROFILE_SCAN, payload =>
+      this.scanProfiles(payload.profile_ids || [payload.profile_id]));
   }
 
   /**
-   * Start the scheduler - runs every hour
+   * Start the scheduler - queues a drain of the due backlog every few minutes
    */
   start() {
-    // Run every hour at minute 0
-    this.cronJob = cron.schedule('0 * * * *', async () => {
-      await this.runScan();
+    this.cronJob = cron.schedule(`*/${TICK_MINUTES} * * * *`, async () => {
+      if (await this._acquireLeadership()) {
+        await this.enqueueScan();
+      }
     });
 
-    logger.info('✅ Scheduler started - will run every hour');
+    logger.info(`✅ Scheduler started - will run every ${TICK_MINUTES} minutes`, {
+      chunkSize: CHUNK_SIZE,
+      profilesPerHour: PROFILES_PER_HOUR
+    });
     
     // Optional: Run immediately on startup for testing
     // Uncomment the line below if you want immediate execution
@@ -38,16 +112,99 @@ class SchedulerService {
 
   /**
    * Stop the scheduler
+   * @returns {Promise<void>} Resolves once the scheduler lease is released
    */
   stop() {
     if (this.cronJob) {
       this.cronJob.stop();
       logger.info('Scheduler stopped');
     }
+
+    // Let another instance take over the cron without waiting for the lease to lapse
+    return supabase
+      .from('leader_leases')
+      .delete()
+      .eq('name', LEADER_LEASE)
+      .eq('holder', instanceId)
+      .then(({ error }) => {
+        if (error) logger.error('Failed to release scheduler lease', error);
+      });
+  }
+
+  /**
+   * Take or renew the scheduler lease
+   * @returns {Promise<boolean>} True if this instance should run the cron
+   */
+  async _acquireLeadership() {
+    const { data: isLeader, error } = await supabase.rpc('acquire_leader_lease', {
+      p_name: LEADER_LEASE,
+      p_holder: instanceId,
+      p_ttl_seconds: LEADER_LEASE_SECONDS
+    });
+
+    if (error) {
+      logger.error('Failed to acquire scheduler lease', error);
+      return false;
+    }
+
+    if (isLeader && !this.isLeader) {
+      logger.info('This instance is now the scheduler leader', { instanceId });
+    }
+    this.isLeader = Boolean(isLeader);
+
+    return this.isLeader;
+  }
+
+  /**
+   * Queue a scheduled scan. Only one is queued or running at a time; if a
+   * deploy interrupts it, the job queue runs it again after the restart.
+   */
+  async enqueueScan() {
+    try {
+      await jobQueueService.enqueue(JOB_TYPES.SCHEDULED_SCAN, {}, {
+        dedupeKey: JOB_TYPES.SCHEDULED_SCAN,
+        maxAttempts: 2,
+        leaseSeconds: 60 * 60
+      });
+    } catch (error) {
+      logger.error('Failed to queue scheduled scan', error);
+    }
   }
 
   /**
-   * Main scan logic - processes profiles due for scanning
+   * Queue an immediate scan of newly added profiles, e.g. right after they
+   * are added to a campaign. One job covers the whole batch.
+   * @param {string[]} profileIds - Profile UUIDs
+   */
+  async enqueueProfileScans(profileIds) {
+    return jobQueueService.enqueue(JOB_TYPES.PROFILE_SCAN, { profile_ids: profileIds });
+  }
+
+  /**
+   * Scan the given profiles now, outside the scheduled scan, in Apify-sized
+   * chunks. Profiles already being scanned elsewhere are skipped.
+   * @param {string[]} profileIds - Profile UUIDs
+   */
+  async scanProfiles(profileIds) {
+    for (let i = 0; i < profileIds.length; i += CHUNK_SIZE) {
+      const ids = profileIds.slice(i, i + CHUNK_SIZE);
+      const profiles = await this._claimProfiles(ids.length, ids);
+
+      if (profiles.length < ids.length) {
+        logger.warn('Profiles missing or already being scanned, skipping', {
+          skipped: ids.length - profiles.length
+        });
+      }
+      if (profiles.length === 0) continue;
+
+      await this._scanChunk(profiles, 'profile');
+    }
+  }
+
+  /**
+   * Main scan logic - scans due profiles in Apify-sized chunks, oldest
+   * first, until the backlog is empty or this tick's throughput is used up.
+   * A failed chunk ends the scan with its error, so the job queue retries it.
    */
   async runScan() {
     if (this.isRunning) {
@@ -59,85 +216,385 @@ class SchedulerService {
     logger.info('=== Starting scheduled scan ===');
 
     try {
-      // Get profiles that need scanning
-      const profiles = await this._getProfilesForScanning();
-      
-      if (profiles.length === 0) {
-        logger.info('No profiles due for scanning');
-        return;
-      }
+      let scanned = 0;
 
-      logger.info(`Processing ${profiles.length} profiles`);
+      while (scanned < PROFILES_PER_TICK) {
+        // Claimed profiles are skipped by other instances and by later
+        // chunks until released; a failed chunk releases its profiles
+        const chunkSize = Math.min(CHUNK_SIZE, PROFILES_PER_TICK - scanned);
+        const profiles = await this._claimProfiles(chunkSize);
 
-      // Group profiles by user for webhook delivery
-      const profilesByUser = this._groupByUser(profiles);
+        if (profiles.length === 0) {
+          if (scanned === 0) logger.info('No profiles due for scanning');
+          break;
+        }
 
-      // Scan all profiles via Apify
-      const profileUrls = profiles.map(p => p.linkedin_url);
-      const scanResults = await apifyService.scanProfiles(profileUrls);
+        logger.info(`Processing ${profiles.length} profiles`);
+        scanned += profiles.length;
 
-      // Process each result
-      for (const result of scanResults) {
-        await this._processScanResult(result, profiles);
+        await this._scanChunk(profiles, 'scheduled');
+      }
+
+      try {
+        const backlog = await this.getBacklogStats();
+        logger.info('Scan backlog after tick', { scanned, ...backlog });
+      } catch (error) {
+        logger.error('Failed to measure scan backlog', error);
       }
 
       logger.info('=== Scheduled scan completed ===');
     } catch (error) {
       logger.error('Scheduler scan failed', error);
+      throw error;
     } finally {
       this.isRunning = false;
     }
   }
 
   /**
-   * Get profiles that are due for scanning
+   * Scan a chunk of claimed profiles in one Apify run and process the
+   * results, recording the run and each profile's outcome in the scan log
+   * @param {object[]} profiles - Claimed profiles (PROFILE_SCAN_COLUMNS)
+   * @param {string} trigger - 'scheduled' or 'profile'
+   */
+  async _scanChunk(profiles, trigger) {
+    const runId = await scanLogService.startRun(trigger, profiles.length);
+    const profileScans = [];
+
+    try {
+      const scanResults = await this._fetchPosts(profiles);
+      const templatesByProfile = await this._campaignTemplates(profiles);
+
+      // Users who monitor the same person share its canonical URL, and so
+      // one result; each of their profiles is processed with its own rules
+      const profilesByUrl = new Map();
+      for (const profile of profiles) {
+        if (!profilesByUrl.has(profile.linkedin_url)) profilesByUrl.set(profile.linkedin_url, []);
+        profilesByUrl.get(profile.linkedin_url).push(profile);
+      }
+
+      for (const result of scanResults) {
+        const matched = profilesByUrl.get(result.linkedin_url);
+
+        if (!matched) {
+          logger.warn('No matching profile found for scan result', { url: result.linkedin_url });
+          continue;
+        }
+
+        for (const profile of matched) {
+          profileScans.push(await this._processScanResult(result, profile, templatesByProfile.get(profile.id)));
+        }
+      }
+
+      // Profiles Apify returned nothing for stay claimed until the claim
+      // lapses, then are picked up again
+      const scannedIds = new Set(profileScans.map(scan => scan.profile_id));
+      for (const profile of profiles.filter(p => !scannedIds.has(p.id))) {
+        profileScans.push(this._profileScan(profile, 'not_returned'));
+      }
+
+      await scanLogService.finishRun(runId, profileScans);
+    } catch (error) {
+      // Every profile the failed chunk had not got to shows the error, and
+      // is released so the retry can scan it again
+      const recordedIds = new Set(profileScans.map(scan => scan.profile_id));
+      const unscanned = profiles.filter(p => !recordedIds.has(p.id));
+      for (const profile of unscanned) {
+        profileScans.push(this._profileScan(profile, 'error', { error: error.message }));
+      }
+      await this._releaseClaims(unscanned.map(p => p.id));
+
+      await scanLogService.finishRun(runId, profileScans, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the signal templates of each profile's campaign, so events can be
+   * tagged with the user-defined templates that matched. Tagging falls back to
+   * the built-in templates when they cannot be loaded.
+   * @param {object[]} profiles - Claimed profiles (PROFILE_SCAN_COLUMNS)
+   * @returns {Promise<Map<string, object[]>>} Templates by profile id
+   */
+  async _campaignTemplates(profiles) {
+    const idsByUser = new Map();
+    for (const profile of profiles.filter(p => p.campaigns)) {
+      const ids = idsByUser.get(profile.user_id) || new Set();
+      signalTemplateService.campaignTemplateIds(profile.campaigns).forEach(id => ids.add(id));
+      idsByUser.set(profile.user_id, ids);
+    }
+
+    const templatesByUser = new Map();
+    for (const [userId, ids] of idsByUser) {
+      try {
+        const { templates } = await signalTemplateService.resolveTemplates(userId, [...ids]);
+        templatesByUser.set(userId, new Map(templates.map(t => [t.id, t])));
+      } catch (error) {
+        logger.warn('Failed to load campaign templates for signal tagging', { userId, error: error.message });
+      }
+    }
+
+    const templatesByProfile = new Map();
+    for (const profile of profiles.filter(p => p.campaigns)) {
+      const templates = templatesByUser.get(profile.user_id);
+      if (!templates) continue;
+      templatesByProfile.set(profile.id, signalTemplateService.campaignTemplateIds(profile.campaigns)
+        .map(id => templates.get(id))
+        .filter(Boolean));
+    }
+    return templatesByProfile;
+  }
+
+  /**
+   * Fetch each profile's latest posts at its post depth. A profile whose
+   * fetched posts are all newer than its last known post may have more we
+   * have not seen, so it is fetched again, twice as deep each time, until
+   * the results reach a known post or CATCH_UP_MAX_POSTS.
+   * @param {object[]} profiles - Claimed profiles (PROFILE_SCAN_COLUMNS)
+   * @returns {Promise<object[]>} Apify results, one per profile URL
    */
-  async _getProfilesForScanning() {
-    const now = new Date().toISOString();
+  async _fetchPosts(profiles) {
+    const results = new Map();
+    let pending = profiles.map(profile => ({
+      profile,
+      depth: apifyService.postDepth(profile.users.plan, profile.post_depth)
+    }));
+
+    while (pending.length > 0) {
+      // One Apify run per depth, as the actor takes a single maxPosts
+      const byDepth = new Map();
+      for (const entry of pending) {
+        if (!byDepth.has(entry.depth)) byDepth.set(entry.depth, []);
+        byDepth.get(entry.depth).push(entry);
+      }
+
+      const next = [];
+      for (const [depth, entries] of byDepth) {
+        const profileUrls = [...new Set(entries.map(e => e.profile.linkedin_url))];
+        const previous = new Map(profileUrls.map(url => [url, results.get(url)]));
+        const catchingUp = profileUrls.some(url => previous.get(url));
+
+        let scanResults;
+        try {
+          scanResults = await apifyService.scanProfiles(profileUrls, { maxPosts: depth });
+        } catch (error) {
+          // The first pass failing fails the chunk; a failed catch-up keeps
+          // the posts already fetched
+          if (!catchingUp) throw error;
+          logger.error('Catch-up fetch failed; keeping the posts already fetched', error, {
+            profiles: profileUrls.length,
+            depth
+          });
+          continue;
+        }
+
+        for (const result of scanResults) {
+          // A deeper run only replaces a result when it found more posts
+          const shallow = previous.get(result.linkedin_url);
+          if (shallow && (result.posts?.length || 0) <= shallow.posts.length) continue;
+          results.set(result.linkedin_url, result);
+        }
+
+        for (const entry of entries) {
+          const result = results.get(entry.profile.linkedin_url);
+          if (!result || !this._mayHaveMissedPosts(entry.profile, result)) continue;
+
+          // Going deeper found nothing more; stop there
+          if (result === previous.get(entry.profile.linkedin_url)) continue;
+
+          if (depth >= CATCH_UP_MAX_POSTS) {
+            logger.warn('Profile posted more since its last scan than catch-up covers', {
+              profileId: entry.profile.id,
+              depth
+            });
+            continue;
+          }
+
+          next.push({ ...entry, depth: Math.min(depth * 2, CATCH_UP_MAX_POSTS) });
+        }
+      }
+
+      if (next.length > 0) {
+        logger.info('Fetching deeper to catch up with busy profiles', { count: next.length });
+      }
+      pending = next;
+    }
+
+    return [...results.values()];
+  }
+
+  /**
+   * True when a result was cut off at the post depth and every post in it is
+   * newer than the profile's last known post, so older new posts may be missing
+   */
+  _mayHaveMissedPosts(profile, result) {
+    if (!result.more_posts || !profile.last_post_timestamp) return false;
+
+    const lastKnown = new Date(profile.last_post_timestamp);
+    return result.posts.length > 0 &&
+      result.posts.every(post => post.post_date && new Date(post.post_date) > lastKnown);
+  }
+
+  /**
+   * One profile's outcome in a scan run, as stored in profile_scans
+   * @param {object} profile - Profile that was scanned
+   * @param {string} outcome - new_posts, no_new_posts, no_posts, not_returned or error
+   * @param {object} counts - { posts_found, new_posts, events_created, error }
+   */
+  _profileScan(profile, outcome, counts = {}) {
+    return {
+      profile_id: profile.id,
+      user_id: profile.user_id,
+      outcome,
+      posts_found: counts.posts_found || 0,
+      new_posts: counts.new_posts || 0,
+      events_created: counts.events_created || 0,
+      error: counts.error || null
+    };
+  }
+
+  /**
+   * How far behind scanning is
+   * @returns {Promise<object>} Backlog depth, how overdue the oldest profile is,
+   *   and how long the backlog will take to drain at the configured throughput
+   */
+  async getBacklogStats() {
+    const now = new Date();
+
+    const { count: dueProfiles, error: countError } = await supabase
+      .from('profiles')
+      .select('id', { count: 'exact', head: true })
+      .lte('next_scan_at', now.toISOString())
+      .eq('status', 'active');
+
+    if (countError) {
+      throw new Error(`Failed to count due profiles: ${countError.message}`);
+    }
+
+    const { data: oldest, error: oldestError } = await supabase
+      .from('profiles')
+      .select('next_scan_at')
+      .lte('next_scan_at', now.toISOString())
+      .eq('status', 'active')
+      .order('next_scan_at', { ascending: true })
+      .limit(1);
+
+    if (oldestError) {
+      throw new Error(`Failed to find oldest due profile: ${oldestError.message}`);
+    }
+
+    // Scans per hour needed to keep every profile on its plan's default
+    // interval; an estimate, as adaptive cadence moves profiles within bounds
+    let requiredPerHour = 0;
+    for (const [plan, bounds] of Object.entries(SCAN_INTERVALS)) {
+      const { count, error } = await supabase
+        .from('profiles')
+        .select('id, users!inner(plan)', { count: 'exact', head: true })
+        .eq('users.plan', plan)
+        .eq('status', 'active');
+
+      if (error) {
+        throw new Error(`Failed to count ${plan} profiles: ${error.message}`);
+      }
+
+      requiredPerHour += (count || 0) / bounds.default;
+    }
+
+    const oldestDueAt = oldest?.[0]?.next_scan_at || null;
+    const lagMinutes = oldestDueAt
+      ? Math.max(0, Math.round((now - new Date(oldestDueAt)) / 60000))
+      : 0;
+
+    return {
+      due_profiles: dueProfiles || 0,
+      oldest_due_at: oldestDueAt,
+      lag_minutes: lagMinutes,
+      throughput_per_hour: PROFILES_PER_HOUR,
+      required_per_hour: Math.ceil(requiredPerHour),
+      projected_drain_minutes: Math.ceil((dueProfiles || 0) / PROFILES_PER_HOUR * 60),
+      // Profiles are added faster than they can be scanned, so lag will keep growing
+      falling_behind: requiredPerHour > PROFILES_PER_HOUR
+    };
+  }
+
+  /**
+   * Claim profiles that are due for scanning, most overdue first. Claiming
+   * goes through claim_profiles_for_scan (schema.sql), which skips rows
+   * locked or claimed by other instances, so no profile is scanned twice.
+   * @param {number} limit - Maximum number of profiles
+   * @param {string[]|null} profileIds - Claim these profiles, due or not
+   */
+  async _claimProfiles(limit, profileIds = null) {
+    const { data: ids, error: claimError } = await supabase.rpc('claim_profiles_for_scan', {
+      p_worker: instanceId,
+      p_limit: limit,
+      p_lease_seconds: SCAN_CLAIM_SECONDS,
+      p_profile_ids: profileIds
+    });
+
+    if (claimError) {
+      throw new Error(`Failed to claim profiles for scanning: ${claimError.message}`);
+    }
+
+    if (!ids || ids.length === 0) return [];
 
     const { data: profiles, error } = await supabase
       .from('profiles')
-      .select(`
-        id,
-        user_id,
-        linkedin_url,
-        keywords,
-        last_post_timestamp,
-        users!inner(plan, webhook_url)
-      `)
-      .lte('next_scan_at', now)
-      .limit(BATCH_SIZE)
+      .select(PROFILE_SCAN_COLUMNS)
+      .in('id', ids)
       .order('next_scan_at', { ascending: true });
 
     if (error) {
-      logger.error('Failed to fetch profiles for scanning', error);
-      return [];
+      await this._releaseClaims(ids);
+      throw new Error(`Failed to fetch profiles for scanning: ${error.message}`);
     }
 
     return profiles || [];
   }
 
   /**
-   * Process a single scan result from Apify
+   * Release this instance's claim on profiles it could not scan, so they
+   * are due again straight away instead of when the claim lapses
+   * @param {string[]} profileIds - Profile UUIDs
    */
-  async _processScanResult(result, allProfiles) {
-    try {
-      // Find matching profile
-      const profile = allProfiles.find(p => p.linkedin_url === result.linkedin_url);
-      
-      if (!profile) {
-        logger.warn('No matching profile found for scan result', { url: result.linkedin_url });
-        return;
-      }
+  async _releaseClaims(profileIds) {
+    if (profileIds.length === 0) return;
 
+    const { error } = await supabase
+      .from('profiles')
+      .update({ scan_claimed_by: null, scan_claimed_until: null })
+      .in('id', profileIds)
+      .eq('scan_claimed_by', instanceId);
+
+    if (error) {
+      // The claims lapse on their own after SCAN_CLAIM_SECONDS
+      logger.error('Failed to release profile claims', error, { count: profileIds.length });
+    }
+  }
+
+  /**
+   * Process a scan result from Apify for one of the profiles it was fetched for
+   * @param {object} result - Apify result for the profile's URL
+   * @param {object} profile - Claimed profile (PROFILE_SCAN_COLUMNS)
+   * @param {object[]} templates - Signal templates of the profile's campaign
+   * @returns {Promise<object>} The profile's outcome (see _profileScan)
+   */
+  async _processScanResult(result, profile, templates = []) {
+    // Older result shapes carry no status
+    const state = result.status || (result.posts?.length ? 'ok' : 'no_posts');
+
+    try {
       const { posts } = result;
 
       if (!posts || posts.length === 0) {
-        logger.info('No posts found for profile', { profileId: profile.id });
-        await this._updateNextScan(profile);
-        return;
+        logger.info('No posts found for profile', { profileId: profile.id, state, error: result.error });
+        await this._updateNextScan(profile, state, result.error);
+        return this._profileScan(profile, state === 'error' ? 'error' : 'no_posts', { error: result.error });
       }
 
+      // Keep every fetched post, so keyword changes can be replayed later
+      await postStoreService.savePosts(profile.id, posts);
+
       // Get newest post date
       const latestPostDate = this._getLatestPostDate(posts);
       const lastKnownTimestamp = profile.last_post_timestamp 
@@ -153,44 +610,61 @@ class SchedulerService {
 
       if (newPosts.length === 0) {
         logger.info('No new posts since last scan', { profileId: profile.id });
-        await this._updateNextScan(profile);
-        return;
+        await this._updateNextScan(profile, state, this._redirectError(result));
+        return this._profileScan(profile, 'no_new_posts', { posts_found: posts.length });
       }
 
       logger.info(`Found ${newPosts.length} new posts for profile`, { 
         profileId: profile.id 
       });
 
-      // Process new posts for keyword matches
-      const events = [];
-      
-      for (const post of newPosts) {
-        const matchedEvents = matchingService.processPost(
-          post,
-          profile.keywords,
-          profile.id
-        );
-        events.push(...matchedEvents);
-      }
+      // Process new posts for keyword matches (one event per matched post)
+      const rules = matchingService.buildRules(profile, templates);
+      const events = newPosts
+        .map(post => matchingService.processPost(post, rules, profile.id))
+        .filter(Boolean);
 
       // Insert events (will skip duplicates due to unique constraint)
+      let eventsCreated = 0;
       if (events.length > 0) {
-        await this._insertEvents(events);
+        eventsCreated = await this._insertEvents(events);
         
-        // Send webhook if configured
-        if (profile.users.webhook_url) {
-          await this._sendWebhook(profile.users.webhook_url, events);
+        // Send webhook if configured, only for events above the user's threshold
+        const minScore = profile.users.webhook_min_score || 0;
+        const webhookEvents = events.filter(e => e.score >= minScore);
+
+        if (profile.users.webhook_url && webhookEvents.length > 0) {
+          await this._sendWebhook(profile.users.webhook_url, webhookEvents);
         }
       }
 
-      // Update profile with latest timestamp and next scan time
-      await this._updateProfileAfterScan(profile, latestPostDate);
+      // Update profile with latest timestamp, posting cadence and next scan time
+      await this._updateProfileAfterScan(profile, latestPostDate, newPosts, state, this._redirectError(result));
+
+      return this._profileScan(profile, 'new_posts', {
+        posts_found: posts.length,
+        new_posts: newPosts.length,
+        events_created: eventsCreated
+      });
 
     } catch (error) {
       logger.error('Failed to process scan result', error, { 
-        url: result.linkedin_url 
+        url: result.linkedin_url,
+        profileId: profile.id
       });
+
+      // Count it against the profile's health and back off
+      try {
+        await this._updateNextScan(profile, 'error', error.message);
+      } catch (updateError) {
+        logger.error('Failed to record scan failure', updateError, { profileId: profile.id });
+      }
+
       // Continue processing other profiles
+      return this._profileScan(profile, 'error', {
+        posts_found: result.posts?.length,
+        error: error.message
+      });
     }
   }
 
@@ -211,6 +685,7 @@ class SchedulerService {
 
   /**
    * Insert events into database
+   * @returns {Promise<number>} Number of events inserted
    */
   async _insertEvents(events) {
     // Insert events, ignore duplicates
@@ -226,10 +701,39 @@ class SchedulerService {
       } else {
         logger.error('Failed to insert events', error);
       }
-      return;
+      return 0;
     }
 
     logger.info(`Inserted ${data?.length || 0} new events`);
+    return data?.length || 0;
+  }
+
+  /**
+   * Tell the user a profile can no longer be scanned properly
+   */
+  async _sendHealthWebhook(webhookUrl, profile, updates) {
+    try {
+      await axios.post(webhookUrl, {
+        type: 'profile_health_changed',
+        timestamp: new Date().toISOString(),
+        profile: {
+          id: profile.id,
+          linkedin_url: profile.linkedin_url,
+          health: updates.health,
+          previous_health: profile.health || 'ok',
+          health_error: updates.health_error,
+          consecutive_failures: updates.consecutive_failures,
+          paused: updates.status === 'paused'
+        }
+      }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000
+      });
+
+      logger.info('Health webhook sent', { url: webhookUrl, profileId: profile.id });
+    } catch (error) {
+      logger.error('Health webhook delivery failed', error, { url: webhookUrl });
+    }
   }
 
   /**
@@ -241,10 +745,21 @@ class SchedulerService {
         type: 'signal_detected',
         timestamp: new Date().toISOString(),
         events: events.map(e => ({
-          keyword: e.keyword,
+          // Highest scoring keyword, for integrations built on one event per keyword
+          keyword: [...e.matched_keywords].sort((a, b) => b.score - a.score)[0].keyword,
+          matched_keywords: e.matched_keywords,
+          matched_clause: e.matched_clause || null,
+          signal_types: e.signal_types,
           post_url: e.post_url,
           post_date: e.post_date,
-          snippet: e.snippet
+          hashtags: e.hashtags || [],
+          mentions: e.mentions || [],
+          snippet: e.snippet,
+          snippet_highlights: e.snippet_highlights || [],
+          match_offsets: e.match_offsets || [],
+          language: e.language || null,
+          entities: e.entities || null,
+          score: e.score
         }))
       };
 
@@ -264,55 +779,203 @@ class SchedulerService {
   }
 
   /**
-   * Update profile with new timestamp and schedule next scan
+   * Update the profile's average gap between posts with the gaps the new
+   * posts add (exponentially weighted, so recent behaviour counts most)
+   * @param {object} profile - Profile with last_post_timestamp and post_interval_hours
+   * @param {object[]} newPosts - Posts newer than last_post_timestamp
+   * @returns {number|null} Posting interval in hours, or null while unknown
    */
-  async _updateProfileAfterScan(profile, latestPostDate) {
-    const plan = profile.users.plan || 'free';
-    const hoursUntilNextScan = SCAN_INTERVALS[plan] || SCAN_INTERVALS.free;
-    
-    const nextScanAt = new Date();
-    nextScanAt.setHours(nextScanAt.getHours() + hoursUntilNextScan);
+  _learnPostInterval(profile, newPosts) {
+    const times = newPosts
+      .map(p => new Date(p.post_date).getTime())
+      .filter(t => !isNaN(t));
+
+    if (profile.last_post_timestamp) {
+      times.push(new Date(profile.last_post_timestamp).getTime());
+    }
+    times.sort((a, b) => a - b);
+
+    let interval = profile.post_interval_hours || null;
+
+    for (let i = 1; i < times.length; i++) {
+      const gapHours = (times[i] - times[i - 1]) / (60 * 60 * 1000);
+      if (gapHours <= 0) continue;
+
+      interval = interval === null
+        ? gapHours
+        : CADENCE_SMOOTHING * gapHours + (1 - CADENCE_SMOOTHING) * interval;
+    }
+
+    return interval === null ? null : Math.round(interval * 10) / 10;
+  }
+
+  /**
+   * Hours until a profile's next scan: its posting interval, stretched while
+   * it has been quiet for longer than that, within the plan's bounds.
+   * After failed scans it backs off from the plan default instead, and a
+   * profile with no posts is scanned at the plan's slowest rate.
+   * @param {object} profile - Profile with users.plan
+   * @param {number|null} postIntervalHours - Learned posting interval
+   * @param {Date|string|null} lastPostAt - Newest known post
+   * @param {number} failures - Consecutive failed scans
+   * @param {string} state - Outcome of the scan: ok, redirected, no_posts, not_found, private or error
+   */
+  _scanIntervalHours(profile, postIntervalHours, lastPostAt, failures = 0, state = 'ok') {
+    const bounds = SCAN_INTERVALS[profile.users.plan] || SCAN_INTERVALS.free;
+
+    if (state === 'no_posts') {
+      return bounds.max;
+    }
+
+    if (failures > 0) {
+      return Math.min(bounds.max, bounds.default * 2 ** (failures - 1));
+    }
+
+    if (!postIntervalHours) return bounds.default;
+
+    const quietHours = lastPostAt
+      ? (Date.now() - new Date(lastPostAt).getTime()) / (60 * 60 * 1000)
+      : 0;
+    const cadence = Math.max(postIntervalHours, quietHours);
+
+    return Math.round(Math.min(bounds.max, Math.max(bounds.min, cadence)) * 10) / 10;
+  }
+
+  /**
+   * Note for a profile whose posts now appear under another URL
+   */
+  _redirectError(result) {
+    return result.status === 'redirected' && result.resolved_url
+      ? `Profile has moved to ${result.resolved_url}`
+      : null;
+  }
+
+  /**
+   * Health fields for a profile after a scan. A profile with no posts is
+   * not failing, so no_posts neither counts toward nor resets its failures.
+   * @param {object} profile - Profile with health and consecutive_failures
+   * @param {string} state - ok, redirected, no_posts, not_found, private or error
+   * @param {string|null} error - What went wrong, if anything
+   * @returns {object} Profile column updates
+   */
+  _healthUpdates(profile, state, error) {
+    const previousFailures = profile.consecutive_failures || 0;
+
+    if (state === 'no_posts') {
+      return {
+        health: 'no_posts',
+        health_error: error || null,
+        consecutive_failures: previousFailures,
+        health_checked_at: new Date().toISOString()
+      };
+    }
+
+    const failures = FAILED_STATES.has(state) ? previousFailures + 1 : 0;
+
+    let health = state;
+    if (failures >= REPEATED_FAILURE_THRESHOLD) {
+      health = 'repeated_failure';
+    } else if (state === 'error') {
+      // A processing error says nothing new about the profile itself
+      health = profile.health || 'ok';
+    }
 
     const updates = {
-      next_scan_at: nextScanAt.toISOString()
+      health,
+      health_error: error || null,
+      consecutive_failures: failures,
+      health_checked_at: new Date().toISOString()
     };
 
-    if (latestPostDate) {
-      updates.last_post_timestamp = latestPostDate.toISOString();
+    if (failures >= FAILURES_BEFORE_PAUSE) {
+      updates.status = 'paused';
+      updates.paused_reason = 'repeated_failure';
     }
 
+    return updates;
+  }
+
+  /**
+   * Save a profile's scan outcome: health, next scan time and any other
+   * column updates. Tells the user when the profile's health gets worse.
+   */
+  async _saveScanOutcome(profile, updates, message) {
     const { error } = await supabase
       .from('profiles')
-      .update(updates)
+      .update({
+        ...updates,
+        scan_claimed_by: null,
+        scan_claimed_until: null
+      })
       .eq('id', profile.id);
 
     if (error) {
-      logger.error('Failed to update profile after scan', error, { 
+      logger.error(message, error, { 
         profileId: profile.id 
       });
+      return;
+    }
+
+    const worse = updates.health !== 'ok' &&
+      (updates.health !== (profile.health || 'ok') || updates.status === 'paused');
+
+    if (worse) {
+      logger.warn('Profile health changed', {
+        profileId: profile.id,
+        health: updates.health,
+        previousHealth: profile.health,
+        paused: updates.status === 'paused'
+      });
+
+      if (profile.users.webhook_url) {
+        await this._sendHealthWebhook(profile.users.webhook_url, profile, updates);
+      }
     }
   }
 
   /**
-   * Update next scan time without changing last_post_timestamp
+   * Update profile with new timestamp and posting cadence, and schedule next scan
    */
-  async _updateNextScan(profile) {
-    const plan = profile.users.plan || 'free';
-    const hoursUntilNextScan = SCAN_INTERVALS[plan] || SCAN_INTERVALS.free;
-    
-    const nextScanAt = new Date();
-    nextScanAt.setHours(nextScanAt.getHours() + hoursUntilNextScan);
+  async _updateProfileAfterScan(profile, latestPostDate, newPosts, state = 'ok', healthError = null) {
+    const postIntervalHours = this._learnPostInterval(profile, newPosts);
+    const hoursUntilNextScan = this._scanIntervalHours(
+      profile,
+      postIntervalHours,
+      latestPostDate || profile.last_post_timestamp
+    );
 
-    const { error } = await supabase
-      .from('profiles')
-      .update({ next_scan_at: nextScanAt.toISOString() })
-      .eq('id', profile.id);
+    const updates = {
+      next_scan_at: new Date(Date.now() + hoursUntilNextScan * 60 * 60 * 1000).toISOString(),
+      post_interval_hours: postIntervalHours,
+      scan_interval_hours: hoursUntilNextScan,
+      ...this._healthUpdates(profile, state, healthError)
+    };
 
-    if (error) {
-      logger.error('Failed to update next scan time', error, { 
-        profileId: profile.id 
-      });
+    if (latestPostDate) {
+      updates.last_post_timestamp = latestPostDate.toISOString();
     }
+
+    await this._saveScanOutcome(profile, updates, 'Failed to update profile after scan');
+  }
+
+  /**
+   * Update next scan time and health without changing last_post_timestamp
+   */
+  async _updateNextScan(profile, state = 'ok', healthError = null) {
+    const health = this._healthUpdates(profile, state, healthError);
+    const hoursUntilNextScan = this._scanIntervalHours(
+      profile,
+      profile.post_interval_hours,
+      profile.last_post_timestamp,
+      health.consecutive_failures,
+      state
+    );
+
+    await this._saveScanOutcome(profile, {
+      next_scan_at: new Date(Date.now() + hoursUntilNextScan * 60 * 60 * 1000).toISOString(),
+      scan_interval_hours: hoursUntilNextScan,
+      ...health
+    }, 'Failed to update next scan time');
   }
 
   /**
@@ -0,0 +1,332 @@
+const { supabase } = require('../utils/db');
+const logger = require('../utils/logger');
+const matchingService = require('./matching');
+const postStoreService = require('./post-store');
+const BUILT_IN_TEMPLATES = require('../types/signal-templates');
+
+const TEMPLATE_COLUMNS = 'id, name, keywords, query, exclude_keywords, created_at, updated_at';
+
+// User template ids are UUIDs; anything else can only be a built-in id
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Profiles updated per request when a campaign's rules change
+const UPDATE_BATCH_SIZE = 200;
+
+class SignalTemplateService {
+  /**
+   * Built-in templates in API shape
+   * @returns {object[]} { id, name, keywords, query, exclude_keywords, built_in }
+   */
+  getBuiltInTemplates() {
+    return Object.keys(BUILT_IN_TEMPLATES).map(id => this._builtIn(id));
+  }
+
+  isBuiltIn(id) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, id);
+  }
+
+  /**
+   * Template ids a campaign uses. Campaigns created before templates existed
+   * only have signal_types, which are all built-in template ids.
+   * @param {object} campaign - Campaign row
+   * @returns {string[]}
+   */
+  campaignTemplateIds(campaign) {
+    return campaign.template_ids?.length ? campaign.template_ids : campaign.signal_types || [];
+  }
+
+  /**
+   * All templates available to a user: built-ins first, then their own
+   * @param {string} userId - User UUID
+   * @returns {Promise<object[]>}
+   */
+  async listTemplates(userId) {
+    const { data, error } = await supabase
+      .from('signal_templates')
+      .select(TEMPLATE_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load signal templates: ${error.message}`);
+    }
+
+    return [
+      ...this.getBuiltInTemplates(),
+      ...(data || []).map(row => ({ ...row, built_in: false }))
+    ];
+  }
+
+  /**
+   * Look up templates by id, keeping the order the ids were given in
+   * @param {string} userId - User UUID
+   * @param {string[]} ids - Built-in ids and/or the user's template UUIDs
+   * @returns {Promise<object>} { templates, missing } where missing lists unknown ids
+   */
+  async resolveTemplates(userId, ids) {
+    const uniqueIds = [...new Set(ids || [])];
+    const userIds = uniqueIds.filter(id => !this.isBuiltIn(id) && UUID_PATTERN.test(id));
+    const found = new Map();
+
+    if (userIds.length > 0) {
+      const { data, error } = await supabase
+        .from('signal_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('user_id', userId)
+        .in('id', userIds);
+
+      if (error) {
+        throw new Error(`Failed to load signal templates: ${error.message}`);
+      }
+
+      for (const row of data || []) {
+        found.set(row.id, { ...row, built_in: false });
+      }
+    }
+
+    const templates = [];
+    const missing = [];
+
+    for (const id of uniqueIds) {
+      if (this.isBuiltIn(id)) {
+        templates.push(this._builtIn(id));
+      } else if (found.has(id)) {
+        templates.push(found.get(id));
+      } else {
+        missing.push(id);
+      }
+    }
+
+    return { templates, missing };
+  }
+
+  /**
+   * Combine templates into the matching fields stored on a profile.
+   * Keywords and exclusions are merged without duplicates; queries are ORed.
+   * @param {object[]} templates - From resolveTemplates
+   * @param {string|null} extraQuery - Another query to OR in (e.g. the campaign's)
+   * @returns {object} { keywords, query, exclude_keywords }
+   */
+  combineTemplates(templates, extraQuery = null) {
+    const keywords = new Map();
+    const excludeKeywords = new Map();
+
+    for (const template of templates) {
+      for (const entry of template.keywords || []) {
+        const key = this._keywordKey(entry);
+        if (!keywords.has(key)) keywords.set(key, entry);
+      }
+      for (const term of template.exclude_keywords || []) {
+        if (!excludeKeywords.has(term.toLowerCase())) excludeKeywords.set(term.toLowerCase(), term);
+      }
+    }
+
+    const queries = [extraQuery, ...templates.map(t => t.query)].filter(Boolean);
+    const query = queries.length > 1
+      ? queries.map(q => `(${q})`).join(' OR ')
+      : queries[0] || null;
+
+    return {
+      keywords: [...keywords.values()],
+      query,
+      exclude_keywords: [...excludeKeywords.values()]
+    };
+  }
+
+  /**
+   * Check that templates combined with a campaign query still form a valid
+   * query. Each one is validated on its own, but ORed together they can
+   * exceed the query length or term limits.
+   * @param {object[]} templates - From resolveTemplates
+   * @param {string|null} extraQuery - The campaign's own query
+   * @returns {string|null} Error message naming the templates, or null if valid
+   */
+  validateCombination(templates, extraQuery = null) {
+    const { query } = this.combineTemplates(templates, extraQuery);
+    const queryError = query ? matchingService.validateQuery(query) : null;
+    if (!queryError) return null;
+
+    const names = templates.filter(t => t.query).map(t => t.name || t.id).join(', ');
+    const sources = extraQuery ? `${names} and the campaign query` : names;
+
+    return `The combined query of ${sources} is invalid: ${queryError}`;
+  }
+
+  /**
+   * The matching fields a campaign's templates and query give its profiles
+   * @param {string} userId - User UUID
+   * @param {object} campaign - Campaign row
+   * @param {object} replaced - Template id -> template row to use instead of
+   *   the stored one, e.g. its version before an update
+   * @returns {Promise<object>} { keywords, query, exclude_keywords }
+   */
+  async campaignMatching(userId, campaign, replaced = {}) {
+    const { templates } = await this.resolveTemplates(userId, this.campaignTemplateIds(campaign));
+    return this.combineTemplates(templates.map(t => replaced[t.id] || t), campaign.query);
+  }
+
+  /**
+   * Bring every profile in a campaign up to date with the campaign's current
+   * templates and query. Profiles copy these fields when they are added, so
+   * this runs whenever the templates behind them change. Keywords and
+   * exclusions added on a profile itself are kept, as is a query edited on it.
+   * @param {object} campaign - Campaign row
+   * @param {object} user - Owning user row (for account exclusions when backfilling)
+   * @param {object} options - { previous, backfill }: previous is the campaign's
+   *   matching fields before the change (from campaignMatching), and backfill
+   *   re-matches stored posts with the new rules
+   * @returns {Promise<object>} { profiles_updated, backfill? }
+   */
+  async syncCampaignProfiles(campaign, user, options = {}) {
+    const matching = await this.campaignMatching(user.id, campaign);
+    const previous = options.previous || matching;
+
+    const { data: current, error: loadError } = await supabase
+      .from('profiles')
+      .select('id, keywords, query, exclude_keywords')
+      .eq('campaign_id', campaign.id);
+
+    if (loadError) {
+      throw new Error(`Failed to load campaign profiles: ${loadError.message}`);
+    }
+
+    // Profiles that end up with the same fields are updated together
+    const groups = new Map();
+    for (const profile of current) {
+      const fields = this._mergeProfileMatching(profile, previous, matching);
+      const key = JSON.stringify(fields);
+      if (!groups.has(key)) groups.set(key, { fields, ids: [] });
+      groups.get(key).ids.push(profile.id);
+    }
+
+    const profiles = [];
+    for (const { fields, ids } of groups.values()) {
+      for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+        const { data, error } = await supabase
+          .from('profiles')
+          .update(fields)
+          .eq('campaign_id', campaign.id)
+          .in('id', ids.slice(i, i + UPDATE_BATCH_SIZE))
+          .select('id, keywords, query, exclude_keywords, match_mode, languages');
+
+        if (error) {
+          throw new Error(`Failed to update campaign profiles: ${error.message}`);
+        }
+
+        profiles.push(...data);
+      }
+    }
+
+    logger.info('Campaign profiles re-keyworded', {
+      campaignId: campaign.id,
+      count: profiles.length
+    });
+
+    const result = { profiles_updated: profiles.length };
+
+    if (options.backfill) {
+      result.backfill = await this._backfill(profiles, campaign, user);
+    }
+
+    return result;
+  }
+
+  /**
+   * A profile's matching fields after its campaign's rules change from
+   * previous to next. What the profile has beyond the previous rules was
+   * added on the profile itself and is kept alongside the next rules.
+   * @returns {object} { keywords, query, exclude_keywords }
+   */
+  _mergeProfileMatching(profile, previous, next) {
+    const previousKeywords = new Set(previous.keywords.map(entry => this._keywordKey(entry)));
+    const previousExcludes = new Set(previous.exclude_keywords.map(term => term.toLowerCase()));
+
+    const own = {
+      keywords: (profile.keywords || []).filter(entry => !previousKeywords.has(this._keywordKey(entry))),
+      exclude_keywords: (profile.exclude_keywords || []).filter(term => !previousExcludes.has(term.toLowerCase()))
+    };
+    const merged = this.combineTemplates([next, own]);
+
+    return {
+      keywords: merged.keywords,
+      // A query can't be split into parts, so one edited on the profile stays as it is
+      query: (profile.query || null) === (previous.query || null) ? next.query : profile.query,
+      exclude_keywords: merged.exclude_keywords
+    };
+  }
+
+  /**
+   * Identity of a keyword entry, so the same keyword is not listed twice
+   */
+  _keywordKey(entry) {
+    return typeof entry === 'string'
+      ? entry.toLowerCase()
+      : `${entry.keyword.toLowerCase()}\u0000${entry.match || ''}`;
+  }
+
+  /**
+   * Re-match stored posts against the profiles' new rules and save events for
+   * posts that now match. Posts that already have an event are left alone,
+   * and no webhooks are sent for backfilled events.
+   */
+  async _backfill(profiles, campaign, user) {
+    const { posts, truncated } = await postStoreService.getPosts(profiles.map(p => p.id));
+    const { templates } = await this.resolveTemplates(user.id, this.campaignTemplateIds(campaign));
+
+    const rulesByProfile = new Map(profiles.map(profile => [
+      profile.id,
+      matchingService.buildRules({ ...profile, campaigns: campaign, users: user }, templates)
+    ]));
+
+    const events = posts
+      .map(post => matchingService.processPost(
+        post,
+        rulesByProfile.get(post.profile_id),
+        post.profile_id,
+        { silent: true }
+      ))
+      .filter(Boolean);
+
+    let eventsCreated = 0;
+
+    if (events.length > 0) {
+      const { data, error } = await supabase
+        .from('events')
+        .upsert(events, { onConflict: 'profile_id,post_url', ignoreDuplicates: true })
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to save backfilled events: ${error.message}`);
+      }
+
+      eventsCreated = data?.length || 0;
+    }
+
+    logger.info('Campaign backfill complete', {
+      campaignId: campaign.id,
+      postsChecked: posts.length,
+      truncated,
+      eventsCreated
+    });
+
+    return {
+      posts_checked: posts.length,
+      posts_truncated: truncated,
+      events_created: eventsCreated
+    };
+  }
+
+  _builtIn(id) {
+    const template = BUILT_IN_TEMPLATES[id];
+    return {
+      id,
+      name: template.name,
+      keywords: template.keywords,
+      query: template.query || null,
+      exclude_keywords: template.exclude_keywords || [],
+      built_in: true
+    };
+  }
+}
+
+module.exports = new SignalTemplateService();
@@ -1,32 +1,75 @@
-// Maps signal types to keyword arrays used when adding profiles to a campaign
+// Built-in signal templates, keyed by template id. Campaigns reference these
+// ids (alongside the UUIDs of user-defined templates in signal_templates), and
+// matchingService.classifySignals tags an event with every template whose
+// keywords or query matched. Query templates are proximity rules rather than
+// plain keywords.
 module.exports = {
-  funding: [
-    'raised', 'seed round', 'series a', 'series b', 'series c',
-    'funding', 'backed by', 'venture', 'investors', 'investment', 'closing our'
-  ],
-  hiring_sales: [
-    'hiring sdr', 'hiring ae', 'building sales team', 'first sales hire',
-    'account executive', 'sales development', 'sales manager', 'head of sales'
-  ],
-  hiring: [
-    'hiring', 'we are hiring', 'join our team', 'open roles', 'job opening',
-    'now hiring', 'looking to hire'
-  ],
-  new_role: [
-    'excited to announce', 'thrilled to share', 'starting my new', 'joined',
-    'joining', 'new role', 'new position', 'new chapter', 'accepted a position',
-    'stepping into'
-  ],
-  launch: [
-    'launching', 'just launched', 'now live', 'beta', 'new product',
-    'introducing', 'available now', 'officially live', 'proud to announce'
-  ],
-  expansion: [
-    'expanding to', 'entering market', 'scaling operations', 'new office',
-    'international expansion', 'opening office', 'global expansion', 'new market'
-  ],
-  track_all: [
-    'raised', 'seed round', 'series a', 'funding', 'hiring', 'we are hiring',
-    'launching', 'just launched', 'new role', 'excited to announce', 'expanding to'
-  ]
+  funding: {
+    name: 'Funding',
+    keywords: [
+      'raised', 'seed round', 'series a', 'series b', 'series c',
+      'funding', 'backed by', 'venture', 'investors', 'investment', 'closing our'
+    ]
+  },
+  hiring_sales: {
+    name: 'Sales hiring',
+    keywords: [
+      'hiring sdr', 'hiring ae', 'building sales team', 'first sales hire',
+      'business development', 'account executive', 'sales development',
+      'looking for sales', 'join our sales team', 'sales manager', 'head of sales'
+    ]
+  },
+  hiring: {
+    name: 'Hiring',
+    keywords: [
+      'hiring', 'we are hiring', 'we\'re hiring', 'join our team', 'looking for',
+      'open positions', 'open roles', 'now hiring', 'looking to hire', 'come work',
+      'join us', 'hiring for', 'seeking', 'recruiting', 'job opening',
+      'career opportunity', 'grow our team', 'expanding our team'
+    ]
+  },
+  new_role: {
+    name: 'New role',
+    keywords: [
+      'excited to announce', 'thrilled to share', 'happy to share', 'pleased to announce',
+      'starting my new', 'joined', 'joining', 'new role', 'new position', 'new chapter',
+      'accepted a position', 'accepted an offer', 'stepping into', 'transition to', 'moving to'
+    ]
+  },
+  launch: {
+    name: 'Product launch',
+    keywords: [
+      'launching', 'just launched', 'now live', 'beta', 'new product', 'introducing',
+      'excited to announce', 'available now', 'officially live', 'proud to announce'
+    ]
+  },
+  expansion: {
+    name: 'Expansion',
+    keywords: [
+      'expanding to', 'entering market', 'scaling operations', 'growing team',
+      'new office', 'international expansion', 'opening office', 'global expansion',
+      'new market'
+    ]
+  },
+  track_all: {
+    name: 'Track all signals',
+    keywords: [
+      'raised', 'seed round', 'series a', 'series b', 'funding', 'backed by', 'venture', 'investors',
+      'hiring sdr', 'hiring ae', 'building sales team', 'account executive',
+      'hiring', 'we are hiring', 'we\'re hiring', 'join our team', 'open positions', 'now hiring', 'recruiting',
+      'excited to announce', 'starting my new', 'joined', 'joining', 'new role',
+      'launching', 'just launched', 'now live', 'introducing',
+      'expanding to', 'new office', 'entering market'
+    ]
+  },
+  funding_round: {
+    name: 'Funding round (proximity)',
+    keywords: [],
+    query: 'raised NEAR/5 ("series a" OR "series b" OR "series c" OR "seed round" OR million OR funding)'
+  },
+  sales_hiring: {
+    name: 'Sales hiring (proximity)',
+    keywords: [],
+    query: 'SENTENCE(hiring, (sdr OR ae OR "account executive" OR "sales development"))'
+  }
 };
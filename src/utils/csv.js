@@ -0,0 +1,77 @@
+// Minimal CSV reader for uploads: comma-separated, double-quoted fields may
+// contain commas, newlines and "" for a quote. The first row is the header.
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Excel adds a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text
+ * @returns {object[]} One object per data row; header names are trimmed and lowercased
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text || '');
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((column, i) => {
+      if (column) record[column] = (fields[i] || '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv
+};
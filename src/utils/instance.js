@@ -0,0 +1,7 @@
+const os = require('os');
+
+// Identifies this process when claiming jobs, profiles and the scheduler
+// lease, so several API replicas can share one database
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+module.exports = { instanceId };
@@ -0,0 +1,73 @@
+// Lightweight language detection for LinkedIn posts.
+// Non-Latin scripts are identified by their Unicode script; Latin-script
+// languages are told apart by counting common stopwords.
+
+const SCRIPT_LANGUAGES = [
+  { language: 'hi', pattern: /\p{Script=Devanagari}/gu },
+  { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+  // Japanese before Chinese: Japanese posts mix kana with Han characters
+  { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { language: 'ko', pattern: /\p{Script=Hangul}/gu },
+  { language: 'zh', pattern: /\p{Script=Han}/gu },
+  { language: 'ru', pattern: /\p{Script=Cyrillic}/gu }
+];
+
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'we', 'our', 'to', 'of', 'for', 'with', 'this', 'that', 'you', 'in', 'on', 'have', 'be', 'it'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'wir', 'unser', 'unsere', 'mit', 'fur', 'nicht', 'ein', 'eine', 'auf', 'zu', 'sich', 'auch', 'ich'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'nous', 'notre', 'avec', 'pour', 'une', 'des', 'dans', 'sur', 'que', 'qui', 'pas', 'je', 'du'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'nosotros', 'nuestro', 'nuestra', 'con', 'para', 'una', 'del', 'que', 'por', 'en', 'estamos', 'muy'],
+  pt: ['o', 'os', 'as', 'e', 'nos', 'nosso', 'nossa', 'com', 'para', 'uma', 'do', 'da', 'que', 'em', 'estamos', 'muito', 'nao'],
+  it: ['il', 'lo', 'gli', 'e', 'siamo', 'nostro', 'nostra', 'con', 'per', 'una', 'del', 'della', 'che', 'di', 'non', 'sono'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'wij', 'we', 'onze', 'ons', 'met', 'voor', 'van', 'niet', 'op', 'ik', 'zijn']
+};
+
+const SUPPORTED_LANGUAGES = [
+  ...Object.keys(STOPWORDS),
+  ...SCRIPT_LANGUAGES.map(s => s.language)
+];
+
+// Minimum stopword hits before a Latin-script guess is trusted
+const MIN_STOPWORD_HITS = 2;
+
+/**
+ * Detect the dominant language of a post
+ * @param {string} text - Raw post text
+ * @param {string[]} tokens - Normalized tokens of the same text (diacritics folded)
+ * @returns {string|null} ISO 639-1 code, or null when unsure
+ */
+function detectLanguage(text, tokens) {
+  if (!text) return null;
+
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  // A non-Latin script covering a third of the letters wins outright
+  for (const { language, pattern } of SCRIPT_LANGUAGES) {
+    const count = (text.match(pattern) || []).length;
+    if (count / letters > 0.33) {
+      return language;
+    }
+  }
+
+  const scores = {};
+  for (const token of tokens) {
+    for (const [language, words] of Object.entries(STOPWORDS)) {
+      if (words.includes(token)) {
+        scores[language] = (scores[language] || 0) + 1;
+      }
+    }
+  }
+
+  const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (!best || best[1] < MIN_STOPWORD_HITS) {
+    return null;
+  }
+
+  return best[0];
+}
+
+module.exports = {
+  detectLanguage,
+  SUPPORTED_LANGUAGES
+};
@@ -0,0 +1,54 @@
+// Canonical form of LinkedIn profile URLs, so the same person is one profile
+// however the URL was copied: trailing slashes, tracking params, mobile and
+// country subdomains, and subpages like /recent-activity/ all collapse.
+
+// linkedin.com, www., m., uk. and other country subdomains
+const HOST_PATTERN = /^(?:[a-z]{1,3}\.)?linkedin\.com$/i;
+
+// /in/<slug>, also behind the mobile /mwlite/ prefix
+const PROFILE_PATH_PATTERN = /^\/(?:mwlite\/)?in\/([^/]+)/i;
+
+// Member-id URLs (/in/ACoAA...) are case-sensitive; vanity slugs are not
+const MEMBER_ID_PATTERN = /^ACoA/;
+
+/**
+ * Canonicalize a LinkedIn profile URL
+ * @param {string} url - URL as sent by the user, with or without protocol
+ * @returns {object|null} { url, key } where url is https://www.linkedin.com/in/<slug>
+ *   and key identifies the profile, or null if this is not a profile URL
+ */
+function canonicalizeProfileUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  let parsed;
+  try {
+    const trimmed = url.trim();
+    parsed = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch (error) {
+    return null;
+  }
+
+  if (!HOST_PATTERN.test(parsed.hostname)) return null;
+
+  const match = parsed.pathname.match(PROFILE_PATH_PATTERN);
+  if (!match) return null;
+
+  let slug;
+  try {
+    slug = decodeURIComponent(match[1]).trim();
+  } catch (error) {
+    return null;
+  }
+  if (!slug) return null;
+
+  if (!MEMBER_ID_PATTERN.test(slug)) slug = slug.toLowerCase();
+
+  return {
+    url: `https://www.linkedin.com/in/${encodeURIComponent(slug)}`,
+    key: slug
+  };
+}
+
+module.exports = {
+  canonicalizeProfileUrl
+};
@@ -0,0 +1,329 @@
+// Parser for boolean keyword queries, e.g.
+//   hiring AND (sdr OR ae) NOT intern
+//   "series a" OR "seed round"
+//
+// Grammar (operators are uppercase; adjacent terms are implicitly ANDed):
+//   query    := or
+//   or       := and ( OR and )*
+//   and      := unary ( [AND] unary )*
+//   unary    := NOT unary | near
+//   near     := primary [ NEAR/n primary ]
+//   primary  := '(' or ')' | SENTENCE '(' operand ( [,] operand )* ')'
+//             | "quoted phrase" | term | term*
+//
+// A trailing * on a bare term makes it a prefix match (hire* matches hired, hiring).
+// Proximity operators take terms, phrases or parenthesized OR-lists of them:
+//   raised NEAR/5 ("series a" OR "seed round")   - at most 5 words apart, either order
+//   SENTENCE(hiring, (sdr OR ae))                 - all operands inside one sentence
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_TERMS = 50;
+
+const MAX_NEAR_DISTANCE = 50;
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Split a query string into tokens
+ * @param {string} input
+ * @returns {Array} Tokens of shape { type, value, position }
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quote at position ${i}`);
+      }
+      const phrase = input.substring(i + 1, end).trim();
+      if (!phrase) {
+        throw new Error(`Empty phrase at position ${i}`);
+      }
+      tokens.push({ type: 'phrase', value: phrase, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Bare word: runs until whitespace, a paren, a comma or a quote
+    let end = i;
+    while (end < input.length && !/[\s(),"]/.test(input[end])) {
+      end++;
+    }
+    const word = input.substring(i, end);
+    const near = word.match(/^NEAR\/(\d+)$/);
+
+    if (OPERATORS.includes(word)) {
+      tokens.push({ type: word, value: word, position: i });
+    } else if (near) {
+      const distance = parseInt(near[1], 10);
+      if (distance < 1 || distance > MAX_NEAR_DISTANCE) {
+        throw new Error(`NEAR distance must be between 1 and ${MAX_NEAR_DISTANCE} at position ${i}`);
+      }
+      tokens.push({ type: 'NEAR', value: word, distance, position: i });
+    } else if (word === 'SENTENCE' && input[end] === '(') {
+      tokens.push({ type: 'SENTENCE', value: word, position: i });
+    } else if (word.endsWith('*')) {
+      const stem = word.replace(/\*+$/, '');
+      if (!stem) {
+        throw new Error(`Wildcard without a term at position ${i}`);
+      }
+      tokens.push({ type: 'word', value: stem, prefix: true, position: i });
+    } else {
+      tokens.push({ type: 'word', value: word, position: i });
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+
+    while (this.peek()?.type === 'OR') {
+      this.next();
+      children.push(this.parseAnd());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd() {
+    const children = [this.parseUnary()];
+
+    while (this.peek() && this.peek().type !== 'OR' && this.peek().type !== ')') {
+      // Commas outside SENTENCE(...) read as plain separators
+      if (this.peek().type === ',') {
+        this.next();
+        continue;
+      }
+      if (this.peek().type === 'AND') {
+        this.next();
+      }
+      children.push(this.parseUnary());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseUnary() {
+    if (this.peek()?.type === 'NOT') {
+      this.next();
+      return { type: 'not', child: this.parseUnary() };
+    }
+    return this.parseNear();
+  }
+
+  parseNear() {
+    const left = this.parsePrimary();
+
+    if (this.peek()?.type !== 'NEAR') {
+      return left;
+    }
+
+    const operator = this.next();
+    const right = this.parsePrimary();
+
+    assertProximityOperand(left, operator);
+    assertProximityOperand(right, operator);
+
+    if (this.peek()?.type === 'NEAR') {
+      throw new Error(`Chained NEAR at position ${this.peek().position}; use SENTENCE(...) for more than two terms`);
+    }
+
+    return { type: 'near', distance: operator.distance, children: [left, right] };
+  }
+
+  parseSentence(token) {
+    const opening = this.next();
+    if (!opening || opening.type !== '(') {
+      throw new Error(`Expected "(" after SENTENCE at position ${token.position}`);
+    }
+
+    const children = [];
+
+    while (this.peek() && this.peek().type !== ')') {
+      if (this.peek().type === ',') {
+        this.next();
+        continue;
+      }
+      const operand = this.parsePrimary();
+      assertProximityOperand(operand, token);
+      children.push(operand);
+    }
+
+    if (!this.next()) {
+      throw new Error(`Missing closing parenthesis for SENTENCE at position ${token.position}`);
+    }
+
+    if (children.length < 2) {
+      throw new Error(`SENTENCE at position ${token.position} needs at least two operands`);
+    }
+
+    return { type: 'sentence', children };
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      throw new Error('Unexpected end of query');
+    }
+
+    if (token.type === '(') {
+      const node = this.parseOr();
+      const closing = this.next();
+      if (!closing || closing.type !== ')') {
+        throw new Error(`Missing closing parenthesis for group at position ${token.position}`);
+      }
+      return node;
+    }
+
+    if (token.type === 'SENTENCE') {
+      return this.parseSentence(token);
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      return {
+        type: 'term',
+        value: token.value,
+        phrase: token.type === 'phrase',
+        prefix: Boolean(token.prefix)
+      };
+    }
+
+    throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+  }
+}
+
+/**
+ * Proximity operands must be a term or an OR-list of terms, so they can be
+ * located in the post
+ */
+function assertProximityOperand(node, operator) {
+  const isTermList = node.type === 'term' ||
+    (node.type === 'or' && node.children.every(child => child.type === 'term'));
+
+  if (!isTermList) {
+    throw new Error(`${operator.value} at position ${operator.position} only accepts terms, phrases or (a OR b) groups`);
+  }
+}
+
+/**
+ * Collect all term nodes in a query tree
+ * @param {object} node - Query AST node
+ * @param {boolean} positiveOnly - Skip terms under a NOT
+ * @returns {object[]} Term nodes
+ */
+function collectTerms(node, positiveOnly = false) {
+  switch (node.type) {
+    case 'term':
+      return [node];
+    case 'not':
+      return positiveOnly ? [] : collectTerms(node.child, positiveOnly);
+    default:
+      return node.children.flatMap(child => collectTerms(child, positiveOnly));
+  }
+}
+
+/**
+ * Parse a boolean keyword query into an AST
+ * @param {string} input - Query string
+ * @returns {object} AST root node
+ * @throws {Error} With a human-readable message when the query is invalid
+ */
+function parseQuery(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Query must be a non-empty string');
+  }
+
+  if (input.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const parser = new Parser(tokenize(input));
+  const ast = parser.parseOr();
+
+  const leftover = parser.peek();
+  if (leftover) {
+    throw new Error(`Unexpected "${leftover.value}" at position ${leftover.position}`);
+  }
+
+  if (collectTerms(ast).length > MAX_TERMS) {
+    throw new Error(`Query must contain at most ${MAX_TERMS} terms`);
+  }
+
+  // A query made only of NOT clauses would match every post
+  if (collectTerms(ast, true).length === 0) {
+    throw new Error('Query must contain at least one term outside of NOT');
+  }
+
+  return ast;
+}
+
+/**
+ * Render an AST node back to query syntax (used to report matched clauses)
+ * @param {object} node - Query AST node
+ * @returns {string}
+ */
+function stringifyQuery(node) {
+  switch (node.type) {
+    case 'term':
+      if (node.phrase) return `"${node.value}"`;
+      return node.prefix ? `${node.value}*` : node.value;
+    case 'not':
+      return `NOT ${wrap(node.child)}`;
+    case 'and':
+      return node.children.map(wrap).join(' AND ');
+    case 'or':
+      return node.children.map(wrap).join(' OR ');
+    case 'near':
+      return node.children.map(wrap).join(` NEAR/${node.distance} `);
+    case 'sentence':
+      return `SENTENCE(${node.children.map(wrap).join(', ')})`;
+    default:
+      return '';
+  }
+}
+
+function wrap(node) {
+  return node.type === 'and' || node.type === 'or'
+    ? `(${stringifyQuery(node)})`
+    : stringifyQuery(node);
+}
+
+module.exports = {
+  parseQuery,
+  stringifyQuery,
+  collectTerms
+};
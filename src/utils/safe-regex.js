@@ -0,0 +1,130 @@
+// Guards for user-supplied regular expressions.
+// Patterns are checked statically when saved (length, syntax, nested
+// quantifiers, backreferences) and executed in a separate VM context with a
+// hard timeout, so a pathological pattern can't stall the scheduler.
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCHES = 20;
+const EXEC_TIMEOUT_MS = 50;
+const FLAGS = 'gi';
+
+const execScript = new vm.Script(`
+  (() => {
+    const re = new RegExp(pattern, flags);
+    const found = [];
+    let m;
+    while ((m = re.exec(text)) && found.length < maxMatches) {
+      found.push({
+        index: m.index,
+        match: m[0],
+        groups: m.slice(1).map(g => (g === undefined ? null : g)),
+        named: m.groups ? Object.assign({}, m.groups) : null
+      });
+      if (m[0] === '') re.lastIndex++;
+    }
+    return JSON.stringify(found);
+  })()
+`);
+
+const context = vm.createContext({});
+
+/**
+ * Find a quantified group that itself contains a quantifier, e.g. (a+)+ or
+ * (\w*\s?)*, the classic shape of catastrophic backtracking
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = []; // one entry per open group: does it contain a quantifier?
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++; // skip escaped character
+      continue;
+    }
+
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const innerQuantified = groups.pop();
+      const next = pattern[i + 1];
+      const quantified = next === '*' || next === '+' || next === '{';
+
+      if (innerQuantified && quantified) return true;
+      if ((innerQuantified || quantified) && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ((char === '*' || char === '+' || char === '{') && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Validate a user-supplied pattern
+ * @param {string} pattern
+ * @returns {string|null} Error message, or null if the pattern is acceptable
+ */
+function checkRegex(pattern) {
+  if (typeof pattern !== 'string' || !pattern) {
+    return 'Regex must be a non-empty string';
+  }
+
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Regex must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, FLAGS);
+  } catch (error) {
+    return `Invalid regex: ${error.message}`;
+  }
+
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return 'Regex backreferences are not supported';
+  }
+
+  if (hasNestedQuantifier(pattern)) {
+    return 'Regex has nested quantifiers (like (a+)+), which can take exponential time';
+  }
+
+  return null;
+}
+
+/**
+ * Run a pattern against text with a timeout (case-insensitive, global)
+ * @param {string} pattern
+ * @param {string} text
+ * @returns {object[]} { index, match, groups, named } per match
+ * @throws {Error} With code ERR_SCRIPT_EXECUTION_TIMEOUT when the pattern runs too long
+ */
+function execRegex(pattern, text) {
+  context.pattern = pattern;
+  context.flags = FLAGS;
+  context.text = text;
+  context.maxMatches = MAX_MATCHES;
+
+  try {
+    return JSON.parse(execScript.runInContext(context, { timeout: EXEC_TIMEOUT_MS }));
+  } finally {
+    context.text = null;
+  }
+}
+
+module.exports = {
+  checkRegex,
+  execRegex
+};
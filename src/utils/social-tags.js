@@ -0,0 +1,44 @@
+// Hashtags and @mentions in LinkedIn post text.
+// LinkedIn renders most mentions as the plain name (the link lives in the
+// post's metadata), so text-only mentions are the "@handle" form.
+
+// "#hiring", "#NowHiring" - but not "C#" or HTML entities like "&#39;"
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+// "@acme", "@jane.doe" - but not the domain of an email address
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_.])@([\p{L}\p{M}\p{N}_](?:[\p{L}\p{M}\p{N}_.-]*[\p{L}\p{M}\p{N}_])?)/gu;
+
+/**
+ * Find hashtags in post text
+ * @param {string} text
+ * @returns {object[]} { tag, start, end } with tag excluding the '#'
+ */
+function findHashtags(text) {
+  if (!text) return [];
+
+  return [...text.matchAll(HASHTAG_PATTERN)].map(m => ({
+    tag: m[1],
+    start: m.index,
+    end: m.index + m[0].length
+  }));
+}
+
+/**
+ * Find "@handle" mentions in post text
+ * @param {string} text
+ * @returns {object[]} { name, start, end } with name excluding the '@'
+ */
+function findMentions(text) {
+  if (!text) return [];
+
+  return [...text.matchAll(MENTION_PATTERN)].map(m => ({
+    name: m[1],
+    start: m.index,
+    end: m.index + m[0].length
+  }));
+}
+
+module.exports = {
+  findHashtags,
+  findMentions
+};
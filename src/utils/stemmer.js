@@ -0,0 +1,170 @@
+// Porter stemmer for English (M.F. Porter, 1980).
+// Reduces inflected words to a common root: hiring/hired/hire -> hire,
+// launched/launching/launch -> launch. Expects a lowercase ASCII word.
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function isConsonant(word, i) {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// Number of vowel-consonant sequences ("m" in Porter's paper)
+function measure(stem) {
+  let count = 0;
+  let i = 0;
+  const length = stem.length;
+
+  while (i < length && isConsonant(stem, i)) i++;
+  while (i < length) {
+    while (i < length && !isConsonant(stem, i)) i++;
+    if (i >= length) break;
+    while (i < length && isConsonant(stem, i)) i++;
+    count++;
+  }
+
+  return count;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const length = word.length;
+  return length >= 2 &&
+    word[length - 1] === word[length - 2] &&
+    isConsonant(word, length - 1);
+}
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+function endsWithCvc(word) {
+  const length = word.length;
+  if (length < 3) return false;
+  return isConsonant(word, length - 3) &&
+    !isConsonant(word, length - 2) &&
+    isConsonant(word, length - 1) &&
+    !'wxy'.includes(word[length - 1]);
+}
+
+function replaceSuffix(word, suffixes, minMeasure) {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+function step1a(word) {
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return word.slice(0, -2);
+  if (word.endsWith('ss')) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+function step1b(word) {
+  if (word.endsWith('eed')) {
+    return measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+  }
+
+  let stem = null;
+  if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    stem = word.slice(0, -2);
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    stem = word.slice(0, -3);
+  }
+
+  if (stem === null) return word;
+
+  if (stem.endsWith('at') || stem.endsWith('bl') || stem.endsWith('iz')) {
+    return stem + 'e';
+  }
+  if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) {
+    return stem.slice(0, -1);
+  }
+  if (measure(stem) === 1 && endsWithCvc(stem)) {
+    return stem + 'e';
+  }
+  return stem;
+}
+
+function step1c(word) {
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    return word.slice(0, -1) + 'i';
+  }
+  return word;
+}
+
+function step4(word) {
+  for (const suffix of STEP4_SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+
+    const stem = word.slice(0, -suffix.length);
+    if (suffix === 'ion' && !/[st]$/.test(stem)) return word;
+    return measure(stem) > 1 ? stem : word;
+  }
+  return word;
+}
+
+function step5(word) {
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) {
+      word = stem;
+    }
+  }
+
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+/**
+ * Reduce an English word to its Porter stem
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem (unchanged for short or non-ASCII words)
+ */
+function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  word = step1a(word);
+  word = step1b(word);
+  word = step1c(word);
+  word = replaceSuffix(word, STEP2_SUFFIXES, 0);
+  word = replaceSuffix(word, STEP3_SUFFIXES, 0);
+  word = step4(word);
+  word = step5(word);
+
+  return word;
+}
+
+module.exports = { stem };
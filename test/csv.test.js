@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv } = require('../src/utils/csv');
+
+test('keys rows by the trimmed, lowercased header', () => {
+  assert.deepStrictEqual(parseCsv('LinkedIn_URL , Keywords\nhttps://www.linkedin.com/in/jane-doe, hiring \n'), [
+    { linkedin_url: 'https://www.linkedin.com/in/jane-doe', keywords: 'hiring' }
+  ]);
+});
+
+test('reads quoted fields with commas, newlines and escaped quotes', () => {
+  assert.deepStrictEqual(parseCsv('name,notes\n"Doe, Jane","said ""hi""\nthen left"\n'), [
+    { name: 'Doe, Jane', notes: 'said "hi"\nthen left' }
+  ]);
+});
+
+test('handles a byte order mark, CRLF line ends and blank lines', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFurl,campaign\r\na,b\r\n\r\n , \r\nc,d'), [
+    { url: 'a', campaign: 'b' },
+    { url: 'c', campaign: 'd' }
+  ]);
+});
+
+test('fills missing trailing fields and drops unnamed columns', () => {
+  assert.deepStrictEqual(parseCsv('url,,labels\na,extra'), [{ url: 'a', labels: '' }]);
+});
+
+test('returns no rows for empty input or a header alone', () => {
+  assert.deepStrictEqual(parseCsv(''), []);
+  assert.deepStrictEqual(parseCsv(null), []);
+  assert.deepStrictEqual(parseCsv('url,keywords\n'), []);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const extractionService = require('../src/services/extraction');
+
+test('extracts amount, round and investors from a funding announcement', () => {
+  const funding = extractionService.extractFunding(
+    'We raised $5M in our seed round led by Sequoia and Accel.'
+  );
+
+  assert.deepStrictEqual(funding, {
+    amount: 5000000,
+    currency: 'USD',
+    amount_text: '$5M',
+    round: 'Seed',
+    investors: ['Sequoia', 'Accel']
+  });
+});
+
+test('keeps a round named outside the sentence with the raised amount', () => {
+  const funding = extractionService.extractFunding(
+    'Excited to announce our Series A! We closed €12 million.'
+  );
+
+  assert.strictEqual(funding.round, 'Series A');
+  assert.strictEqual(funding.amount, 12000000);
+});
+
+test('ignores a number without a currency', () => {
+  assert.strictEqual(
+    extractionService.extract('I raised my kids to love the outdoors. 5 million moments later, here we are.'),
+    null
+  );
+  assert.strictEqual(extractionService.extractFunding('We raised 5 million in donations.'), null);
+});
+
+test('ignores round words without a round noun', () => {
+  for (const text of [
+    'Planting seed potatoes this weekend.',
+    'Channel your inner angel investor mindset.',
+    'A growth mindset matters more than talent.',
+    'Crossing the bridge to 2025 together.'
+  ]) {
+    assert.strictEqual(extractionService.extractFunding(text), null, text);
+  }
+});
+
+test('ignores a round without a funding cue in its sentence', () => {
+  assert.strictEqual(extractionService.extractFunding('Watching the IPO hype from afar.'), null);
+  assert.strictEqual(extractionService.extractFunding('Binge-watched series A to Z of the show.'), null);
+});
+
+test('ignores currency amounts outside funding sentences', () => {
+  assert.strictEqual(extractionService.extractFunding('Tickets cost $50. Join our team!'), null);
+});
+
+test('ignores "led by" outside a funding context', () => {
+  assert.strictEqual(extractionService.extractFunding('Great workshop led by Sarah Jones.'), null);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Job updates go to a stand-in for the jobs table that records them
+const dbPath = require.resolve('../src/utils/db');
+const supabase = {};
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { supabase, verifyConnection: async () => true }
+};
+
+const jobQueueService = require('../src/services/job-queue');
+
+function jobsTable() {
+  const updates = [];
+  supabase.from = () => {
+    const query = {
+      update: (values) => { updates.push(values); return query; },
+      eq: () => query,
+      then: resolve => resolve({ data: null, error: null })
+    };
+    return query;
+  };
+  return updates;
+}
+
+function job(type, attempts, maxAttempts = 3) {
+  return { id: 'job-1', type, payload: { n: 1 }, attempts, max_attempts: maxAttempts, lease_seconds: 60 };
+}
+
+test('a job that succeeds is marked completed', async () => {
+  const updates = jobsTable();
+  const payloads = [];
+  jobQueueService.register('test_ok', async payload => { payloads.push(payload); });
+
+  await jobQueueService._runJob(job('test_ok', 1));
+
+  assert.deepStrictEqual(payloads, [{ n: 1 }]);
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].status, 'completed');
+  assert.strictEqual(updates[0].locked_by, null);
+});
+
+test('a failed job is queued again with a doubling delay', async () => {
+  const updates = jobsTable();
+  jobQueueService.register('test_retry', async () => { throw new Error('Apify timed out'); });
+
+  const before = Date.now();
+  await jobQueueService._runJob(job('test_retry', 2));
+
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].status, 'queued');
+  assert.strictEqual(updates[0].last_error, 'Apify timed out');
+  const delaySeconds = (new Date(updates[0].run_at) - before) / 1000;
+  assert.ok(delaySeconds >= 59 && delaySeconds <= 61, `retried after ${delaySeconds}s`);
+});
+
+test('a job out of attempts fails and runs its failure handler', async () => {
+  const updates = jobsTable();
+  const failures = [];
+  jobQueueService.register('test_fail', async () => { throw new Error('still down'); }, {
+    onFailed: (payload, error) => { failures.push([payload, error.message]); }
+  });
+
+  await jobQueueService._runJob(job('test_fail', 3));
+
+  assert.deepStrictEqual(updates.map(u => [u.status, u.last_error]), [['failed', 'still down']]);
+  assert.deepStrictEqual(failures, [[{ n: 1 }, 'still down']]);
+});
+
+test('a job reclaimed after too many interruptions fails without running', async () => {
+  const updates = jobsTable();
+  let ran = false;
+  jobQueueService.register('test_interrupted', async () => { ran = true; });
+
+  await jobQueueService._runJob(job('test_interrupted', 4));
+
+  assert.strictEqual(ran, false);
+  assert.deepStrictEqual(updates.map(u => [u.status, u.last_error]), [['failed', 'Job was interrupted too many times']]);
+});
+
+test('a job type without a handler fails', async () => {
+  const updates = jobsTable();
+
+  await jobQueueService._runJob(job('test_unknown', 1));
+
+  assert.deepStrictEqual(updates.map(u => [u.status, u.last_error]), [
+    ['failed', 'No handler registered for job type test_unknown']
+  ]);
+});
+
+test('stopping waits for the running job to finish', async (t) => {
+  const events = [];
+  let claimed = false;
+  t.mock.method(jobQueueService, '_claimJob', async () => {
+    if (claimed) return null;
+    claimed = true;
+    return job('test_slow', 1);
+  });
+  t.mock.method(jobQueueService, '_runJob', async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    events.push('job finished');
+  });
+
+  jobQueueService.start();
+  await jobQueueService.stop();
+  events.push('stopped');
+
+  assert.deepStrictEqual(events, ['job finished', 'stopped']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canonicalizeProfileUrl } = require('../src/utils/linkedin-url');
+
+test('collapses the ways a profile URL gets copied into one canonical URL', () => {
+  const canonical = { url: 'https://www.linkedin.com/in/jane-doe', key: 'jane-doe' };
+
+  for (const url of [
+    'https://www.linkedin.com/in/Jane-Doe/',
+    'linkedin.com/in/jane-doe?utm_source=share',
+    'http://LinkedIn.com/in/jane-doe#experience',
+    'https://m.linkedin.com/in/jane-doe/recent-activity/all/',
+    'https://uk.linkedin.com/mwlite/in/jane-doe',
+    '  https://www.linkedin.com/in/jane-doe  '
+  ]) {
+    assert.deepStrictEqual(canonicalizeProfileUrl(url), canonical, url);
+  }
+});
+
+test('keeps the case of member-id URLs', () => {
+  assert.deepStrictEqual(canonicalizeProfileUrl('https://www.linkedin.com/in/ACoAAB1234xyz/'), {
+    url: 'https://www.linkedin.com/in/ACoAAB1234xyz',
+    key: 'ACoAAB1234xyz'
+  });
+});
+
+test('decodes the slug for the key and encodes it in the URL', () => {
+  assert.deepStrictEqual(canonicalizeProfileUrl('https://www.linkedin.com/in/J%C3%B6rg'), {
+    url: 'https://www.linkedin.com/in/j%C3%B6rg',
+    key: 'jörg'
+  });
+});
+
+test('rejects anything that is not a LinkedIn profile URL', () => {
+  for (const url of [
+    null,
+    '   ',
+    'https://www.linkedin.com/company/acme',
+    'https://www.linkedin.com/in/',
+    'https://notlinkedin.com/in/jane-doe',
+    'https://linkedin.com.evil.com/in/jane-doe',
+    'https://www.linkedin.com/in/%E0%A4%A'
+  ]) {
+    assert.strictEqual(canonicalizeProfileUrl(url), null, String(url));
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const matchingService = require('../src/services/matching');
+const { parseQuery } = require('../src/utils/query-parser');
+
+test('SENTENCE() matches operands in the same sentence', () => {
+  const query = parseQuery('SENTENCE(hiring, sdr)');
+
+  assert.strictEqual(matchingService.evaluateQuery('We are hiring an SDR in Berlin.', query).matched, true);
+  assert.strictEqual(matchingService.evaluateQuery('We are hiring. Ask our SDR team.', query).matched, false);
+});
+
+test('SENTENCE() does not match an operand found only outside the tokenized text', () => {
+  // Captured mention offsets that point at punctuation, where there are no words
+  const result = matchingService.evaluateQuery('!!!', parseQuery('SENTENCE(@Acme, hiring)'), {
+    mentions: [{ name: 'Acme', start: 0, end: 3 }]
+  });
+
+  assert.strictEqual(result.matched, false);
+});
+
+test('events are tagged with a query-only template whose query matched', () => {
+  const rules = matchingService.buildRules({ query: 'SENTENCE(hiring, sdr)', match_mode: 'token' });
+  const event = matchingService.processPost({
+    text: 'We are hiring an SDR in Berlin.',
+    post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:1',
+    post_date: '2024-01-15T09:00:00Z'
+  }, rules, 'profile-1', { silent: true });
+
+  assert.ok(event.signal_types.includes('sales_hiring'));
+  assert.ok(!event.signal_types.includes('funding_round'));
+});
+
+test('events are tagged with the user-defined templates that matched', () => {
+  const templates = [
+    { id: 'b3f0c2e4-1d2a-4c1b-9f3e-2a1b3c4d5e6f', keywords: [{ keyword: 'Rebrand', match: 'token' }], query: null },
+    { id: 'c4a1d3f5-2e3b-4d2c-8a4f-3b2c4d5e6f70', keywords: [], query: 'office NEAR/3 opening' },
+    { id: 'd5b2e4a6-3f4c-4e3d-9b5a-4c3d5e6f7081', keywords: ['acquired'], query: null }
+  ];
+  const rules = matchingService.buildRules({ keywords: ['rebrand'], match_mode: 'token' }, templates);
+  const event = matchingService.processPost({
+    text: 'After our rebrand we are opening a new office in Lisbon.',
+    post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:2',
+    post_date: '2024-01-15T09:00:00Z'
+  }, rules, 'profile-1', { silent: true });
+
+  assert.deepStrictEqual(
+    event.signal_types.filter(type => templates.some(t => t.id === type)),
+    [templates[0].id, templates[1].id]
+  );
+});
+
+test('rejects keywords with nothing left to match after punctuation is dropped', () => {
+  assert.match(matchingService.validateKeywords(['hiring', '!!!']), /"!!!" has no letters or digits/);
+  assert.match(matchingService.validateKeywords([{ keyword: '...', match: 'token' }]), /"\.\.\." has no letters or digits/);
+  assert.strictEqual(matchingService.validateKeywords([{ keyword: '^!+$', match: 'regex' }]), null);
+  assert.strictEqual(matchingService.validateKeywords(['C++', '#hiring', '🚀']), null);
+});
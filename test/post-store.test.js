@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Stored posts are served by an in-memory stand-in for the posts table that,
+// like PostgREST, returns at most 1000 rows per request
+const MAX_ROWS = 1000;
+const dbPath = require.resolve('../src/utils/db');
+const supabase = {};
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { supabase, verifyConnection: async () => true }
+};
+
+const postStoreService = require('../src/services/post-store');
+
+function postsTable(rows) {
+  const requests = [];
+  supabase.from = () => {
+    const filters = [];
+    let range = [0, Infinity];
+    const query = {
+      select: () => query,
+      in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+      gte: (column, value) => { filters.push(row => row[column] >= value); return query; },
+      gt: (column, value) => { filters.push(row => row[column] > value); return query; },
+      order: () => query,
+      range: (from, to) => { range = [from, to]; return query; },
+      then: (resolve) => {
+        requests.push(range);
+        const data = rows
+          .filter(row => filters.every(filter => filter(row)))
+          .sort((a, b) => b.post_date.localeCompare(a.post_date) || a.id.localeCompare(b.id))
+          .slice(range[0], Math.min(range[1] + 1, range[0] + MAX_ROWS));
+        resolve({ data, error: null });
+      }
+    };
+    return query;
+  };
+  return requests;
+}
+
+function posts(profileId, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${profileId}-${String(i).padStart(5, '0')}`,
+    profile_id: profileId,
+    post_url: `https://www.linkedin.com/feed/update/urn:li:activity:${profileId}${i}`,
+    post_date: new Date(Date.UTC(2024, 0, 1) + i * 60000).toISOString(),
+    text: 'Post'
+  }));
+}
+
+test('pages past the per-request row limit up to the replay cap', async () => {
+  const requests = postsTable(posts('profile-a', 2500));
+
+  const { posts: loaded, truncated } = await postStoreService.getPosts(['profile-a']);
+
+  assert.strictEqual(loaded.length, 2000);
+  assert.strictEqual(truncated, true);
+  assert.deepStrictEqual(requests, [[0, 999], [1000, 1999], [2000, 2000]]);
+  assert.strictEqual(new Set(loaded.map(p => p.id)).size, 2000);
+});
+
+test('is not truncated when every post fits under the cap', async () => {
+  postsTable(posts('profile-a', 1200));
+
+  const { posts: loaded, truncated } = await postStoreService.getPosts(['profile-a']);
+
+  assert.strictEqual(loaded.length, 1200);
+  assert.strictEqual(truncated, false);
+});
+
+test('applies the cap across profile batches, keeping the newest posts', async () => {
+  const ids = Array.from({ length: 150 }, (_, i) => `profile-${String(i).padStart(3, '0')}`);
+  postsTable(ids.flatMap(id => posts(id, 20)));
+
+  const { posts: loaded, truncated } = await postStoreService.getPosts(ids);
+
+  assert.strictEqual(loaded.length, 2000);
+  assert.strictEqual(truncated, true);
+  // Every profile posted at the same 20 minutes, so the newest 2000 posts
+  // all come from the latest 14 of them
+  assert.ok(loaded.every(p => Number(p.id.slice(-5)) >= 6));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Database calls go through a stand-in that records each table's updates
+const dbPath = require.resolve('../src/utils/db');
+const supabase = {};
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { supabase, verifyConnection: async () => true }
+};
+
+const profileImportService = require('../src/services/profile-import');
+const jobQueueService = require('../src/services/job-queue');
+
+function fakeTables(tables) {
+  const updates = [];
+  supabase.from = (table) => {
+    const result = { data: tables[table] || null, error: null };
+    const query = {
+      insert: () => query,
+      update: (values) => { updates.push({ table, values }); return query; },
+      select: () => query,
+      eq: () => query,
+      single: () => query,
+      then: resolve => resolve(result)
+    };
+    return query;
+  };
+  return updates;
+}
+
+test('an import that cannot be queued is marked failed instead of staying queued', async (t) => {
+  const updates = fakeTables({
+    profile_imports: { id: 'import-1', status: 'queued', source: 'csv', total_rows: 150 }
+  });
+  const queueError = new Error('Failed to enqueue profile_import job: connection refused');
+  t.mock.method(jobQueueService, 'enqueue', async () => { throw queueError; });
+
+  const rows = Array.from({ length: 150 }, (_, i) => ({ linkedin_url: `https://www.linkedin.com/in/person-${i}` }));
+  await assert.rejects(profileImportService.createImport({ id: 'user-1', plan: 'basic' }, rows, 'csv'), queueError);
+
+  assert.deepStrictEqual(updates.map(u => [u.table, u.values.status, u.values.error]), [
+    ['profile_imports', 'failed', queueError.message]
+  ]);
+});
+
+test('campaigns without a name can still be found by id', async () => {
+  fakeTables({
+    campaigns: [
+      { id: 'campaign-1', name: null },
+      { id: 'campaign-2', name: 'Founders' }
+    ]
+  });
+
+  const { byId, byName } = await profileImportService._loadCampaigns('user-1');
+
+  assert.strictEqual(byId.get('campaign-1').id, 'campaign-1');
+  assert.deepStrictEqual([...byName.keys()], ['founders']);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, stringifyQuery, collectTerms } = require('../src/utils/query-parser');
+
+test('parses AND, OR and NOT with implicit AND between terms', () => {
+  assert.deepStrictEqual(parseQuery('hiring (sdr OR ae) NOT intern'), {
+    type: 'and',
+    children: [
+      { type: 'term', value: 'hiring', phrase: false, prefix: false },
+      {
+        type: 'or',
+        children: [
+          { type: 'term', value: 'sdr', phrase: false, prefix: false },
+          { type: 'term', value: 'ae', phrase: false, prefix: false }
+        ]
+      },
+      { type: 'not', child: { type: 'term', value: 'intern', phrase: false, prefix: false } }
+    ]
+  });
+});
+
+test('reads phrases, prefix terms and proximity operators', () => {
+  const near = parseQuery('raised NEAR/5 ("series a" OR million)');
+  assert.strictEqual(near.type, 'near');
+  assert.strictEqual(near.distance, 5);
+  assert.deepStrictEqual(near.children[1].children[0], { type: 'term', value: 'series a', phrase: true, prefix: false });
+
+  assert.deepStrictEqual(parseQuery('hire*'), { type: 'term', value: 'hire', phrase: false, prefix: true });
+  assert.strictEqual(parseQuery('SENTENCE(hiring, (sdr OR ae))').children.length, 2);
+});
+
+test('renders a parsed query back to query syntax', () => {
+  for (const query of [
+    'hiring AND (sdr OR ae) AND NOT intern',
+    '"series a" OR "seed round"',
+    'hire* AND sdr',
+    'raised NEAR/5 ("series a" OR million)',
+    'SENTENCE(hiring, (sdr OR ae))'
+  ]) {
+    assert.strictEqual(stringifyQuery(parseQuery(query)), query);
+  }
+});
+
+test('collects terms, optionally skipping those under NOT', () => {
+  const ast = parseQuery('hiring NOT (intern OR unpaid)');
+
+  assert.deepStrictEqual(collectTerms(ast).map(t => t.value), ['hiring', 'intern', 'unpaid']);
+  assert.deepStrictEqual(collectTerms(ast, true).map(t => t.value), ['hiring']);
+});
+
+test('rejects malformed queries with the position of the problem', () => {
+  const errors = {
+    '': 'Query must be a non-empty string',
+    '(hiring': 'Missing closing parenthesis for group at position 0',
+    '"open': 'Unterminated quote at position 0',
+    'hiring )': 'Unexpected ")" at position 7',
+    'OR hiring': 'Unexpected "OR" at position 0',
+    '*': 'Wildcard without a term at position 0',
+    'a NEAR/0 b': 'NEAR distance must be between 1 and 50 at position 2',
+    'a NEAR/2 b NEAR/2 c': 'Chained NEAR at position 11; use SENTENCE(...) for more than two terms',
+    '(a AND b) NEAR/3 c': 'NEAR/3 at position 10 only accepts terms, phrases or (a OR b) groups',
+    'SENTENCE(hiring)': 'SENTENCE at position 0 needs at least two operands',
+    'NOT intern': 'Query must contain at least one term outside of NOT'
+  };
+
+  for (const [query, message] of Object.entries(errors)) {
+    assert.throws(() => parseQuery(query), { message }, query);
+  }
+});
+
+test('limits query length and term count', () => {
+  assert.throws(() => parseQuery('a'.repeat(1001)), { message: 'Query must be at most 1000 characters' });
+
+  const terms = Array.from({ length: 51 }, (_, i) => `t${i}`).join(' OR ');
+  assert.throws(() => parseQuery(terms), { message: 'Query must contain at most 50 terms' });
+});
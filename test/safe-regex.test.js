@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkRegex, execRegex } = require('../src/utils/safe-regex');
+
+test('accepts ordinary patterns', () => {
+  assert.strictEqual(checkRegex('\\b(\\d+)k\\b'), null);
+  assert.strictEqual(checkRegex('(?<amount>\\d+)M'), null);
+});
+
+test('rejects patterns that are empty, too long, invalid or slow to match', () => {
+  assert.strictEqual(checkRegex(''), 'Regex must be a non-empty string');
+  assert.strictEqual(checkRegex('x'.repeat(201)), 'Regex must be at most 200 characters');
+  assert.match(checkRegex('(hiring'), /^Invalid regex: /);
+  assert.strictEqual(checkRegex('(a)\\1'), 'Regex backreferences are not supported');
+  assert.strictEqual(checkRegex('(?<x>a)\\k<x>'), 'Regex backreferences are not supported');
+  assert.match(checkRegex('(a+)+$'), /nested quantifiers/);
+  assert.match(checkRegex('(\\w*\\s?)*'), /nested quantifiers/);
+});
+
+test('does not mistake quantifiers inside a character class for nesting', () => {
+  assert.strictEqual(checkRegex('[(a+)]+'), null);
+});
+
+test('returns every match case-insensitively with its captured groups', () => {
+  assert.deepStrictEqual(execRegex('(?<amount>\\d+)m', 'Raised 5M, then 10M'), [
+    { index: 7, match: '5M', groups: ['5'], named: { amount: '5' } },
+    { index: 16, match: '10M', groups: ['10'], named: { amount: '10' } }
+  ]);
+});
+
+test('stops a pattern that runs too long', () => {
+  assert.throws(() => execRegex('(x+x+)+y', 'x'.repeat(40)), { code: 'ERR_SCRIPT_EXECUTION_TIMEOUT' });
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The scheduler loads the database client and Apify settings at require time;
+// these tests replace every call that would reach either
+process.env.APIFY_TOKEN = process.env.APIFY_TOKEN || 'test-token';
+process.env.APIFY_ACTOR_ID = process.env.APIFY_ACTOR_ID || 'test-actor';
+const dbPath = require.resolve('../src/utils/db');
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { supabase: {}, verifyConnection: async () => true }
+};
+
+const schedulerService = require('../src/services/scheduler');
+const scanLogService = require('../src/services/scan-log');
+const postStoreService = require('../src/services/post-store');
+
+function profile(id, userId, keywords) {
+  return {
+    id,
+    user_id: userId,
+    linkedin_url: 'https://www.linkedin.com/in/jane-doe',
+    keywords,
+    query: null,
+    exclude_keywords: [],
+    match_mode: 'token',
+    languages: null,
+    last_post_timestamp: null,
+    post_interval_hours: null,
+    post_depth: null,
+    health: 'ok',
+    consecutive_failures: 0,
+    users: { plan: 'basic', webhook_url: null, webhook_min_score: 0, exclude_keywords: [] },
+    campaigns: null
+  };
+}
+
+test('a result shared by two users monitoring the same profile is processed for both', async (t) => {
+  const alice = profile('profile-a', 'user-a', ['hiring']);
+  const bob = profile('profile-b', 'user-b', ['series a']);
+
+  t.mock.method(schedulerService, '_fetchPosts', async () => [{
+    linkedin_url: alice.linkedin_url,
+    status: 'ok',
+    more_posts: false,
+    posts: [{
+      text: 'We closed our Series A and we are hiring engineers.',
+      post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:1',
+      post_date: '2024-01-15T09:00:00Z'
+    }]
+  }]);
+  t.mock.method(scanLogService, 'startRun', async () => 'run-1');
+  const finishRun = t.mock.method(scanLogService, 'finishRun', async () => {});
+  t.mock.method(postStoreService, 'savePosts', async () => {});
+  const insertEvents = t.mock.method(schedulerService, '_insertEvents', async events => events.length);
+  const updateProfile = t.mock.method(schedulerService, '_updateProfileAfterScan', async () => {});
+
+  await schedulerService._scanChunk([alice, bob], 'scheduled');
+
+  const [, profileScans] = finishRun.mock.calls[0].arguments;
+  assert.deepStrictEqual(
+    profileScans.map(scan => [scan.profile_id, scan.outcome, scan.events_created]),
+    [['profile-a', 'new_posts', 1], ['profile-b', 'new_posts', 1]]
+  );
+
+  // Each profile's event comes from its own keywords
+  const events = insertEvents.mock.calls.map(call => call.arguments[0][0]);
+  assert.deepStrictEqual(
+    events.map(event => [event.profile_id, event.matched_keywords.map(m => m.keyword)]),
+    [['profile-a', ['hiring']], ['profile-b', ['series a']]]
+  );
+
+  assert.deepStrictEqual(
+    updateProfile.mock.calls.map(call => call.arguments[0].id),
+    ['profile-a', 'profile-b']
+  );
+});
+
+test('profiles added together are scanned in one chunk', async (t) => {
+  const profiles = ['profile-a', 'profile-b', 'profile-c'].map(id => profile(id, 'user-a', ['hiring']));
+  const claim = t.mock.method(schedulerService, '_claimProfiles', async () => profiles);
+  const scanChunk = t.mock.method(schedulerService, '_scanChunk', async () => {});
+
+  await schedulerService.scanProfiles(profiles.map(p => p.id));
+
+  assert.deepStrictEqual(claim.mock.calls.map(call => call.arguments), [[3, ['profile-a', 'profile-b', 'profile-c']]]);
+  assert.deepStrictEqual(scanChunk.mock.calls.map(call => call.arguments), [[profiles, 'profile']]);
+});
+
+test('a failed chunk releases its profiles and fails the scheduled scan', async (t) => {
+  const profiles = [profile('profile-a', 'user-a', ['hiring']), profile('profile-b', 'user-b', ['hiring'])];
+  const apifyError = new Error('Apify run failed');
+
+  t.mock.method(schedulerService, '_claimProfiles', async () => profiles);
+  t.mock.method(schedulerService, '_fetchPosts', async () => { throw apifyError; });
+  t.mock.method(scanLogService, 'startRun', async () => 'run-1');
+  const finishRun = t.mock.method(scanLogService, 'finishRun', async () => {});
+  const release = t.mock.method(schedulerService, '_releaseClaims', async () => {});
+
+  await assert.rejects(schedulerService.runScan(), apifyError);
+
+  assert.deepStrictEqual(release.mock.calls.map(call => call.arguments), [[['profile-a', 'profile-b']]]);
+  const [, profileScans, runError] = finishRun.mock.calls[0].arguments;
+  assert.deepStrictEqual(profileScans.map(scan => scan.outcome), ['error', 'error']);
+  assert.strictEqual(runError, apifyError);
+  assert.strictEqual(schedulerService.isRunning, false);
+});
+
+test('repeated failures mark a profile, then pause it', () => {
+  const failing = failures => ({ ...profile('profile-a', 'user-a', ['hiring']), consecutive_failures: failures });
+
+  assert.deepStrictEqual(
+    pick(schedulerService._healthUpdates(failing(0), 'not_found', 'Profile not found')),
+    { health: 'not_found', consecutive_failures: 1 }
+  );
+  assert.deepStrictEqual(
+    pick(schedulerService._healthUpdates(failing(2), 'private', null)),
+    { health: 'repeated_failure', consecutive_failures: 3 }
+  );
+  assert.deepStrictEqual(
+    pick(schedulerService._healthUpdates(failing(4), 'not_found', null)),
+    { health: 'repeated_failure', consecutive_failures: 5, status: 'paused', paused_reason: 'repeated_failure' }
+  );
+});
+
+test('a successful scan resets failures and no posts leaves them as they are', () => {
+  const failing = { ...profile('profile-a', 'user-a', ['hiring']), health: 'not_found', consecutive_failures: 2 };
+
+  assert.deepStrictEqual(pick(schedulerService._healthUpdates(failing, 'ok', null)), { health: 'ok', consecutive_failures: 0 });
+  assert.deepStrictEqual(pick(schedulerService._healthUpdates(failing, 'no_posts', null)), { health: 'no_posts', consecutive_failures: 2 });
+  // A processing error counts as a failure without changing what is known about the profile
+  assert.deepStrictEqual(
+    pick(schedulerService._healthUpdates({ ...failing, consecutive_failures: 1 }, 'error', 'Apify run failed')),
+    { health: 'not_found', consecutive_failures: 2 }
+  );
+});
+
+test('the scan interval follows posting cadence within plan bounds and backs off on failures', () => {
+  const basic = profile('profile-a', 'user-a', ['hiring']); // basic plan: 12h min, 24h default, 96h max
+  const justPosted = new Date().toISOString();
+
+  assert.strictEqual(schedulerService._scanIntervalHours(basic, null, null), 24);
+  assert.strictEqual(schedulerService._scanIntervalHours(basic, 30, justPosted), 30);
+  assert.strictEqual(schedulerService._scanIntervalHours(basic, 2, justPosted), 12);
+  assert.strictEqual(schedulerService._scanIntervalHours(basic, 500, justPosted), 96);
+  // Quiet for longer than the usual gap between posts: scanned less often
+  const quietSince = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+  assert.strictEqual(schedulerService._scanIntervalHours(basic, 20, quietSince), 48);
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(f => schedulerService._scanIntervalHours(basic, 30, justPosted, f, 'not_found')), [24, 48, 96, 96]);
+  assert.strictEqual(schedulerService._scanIntervalHours(basic, 30, justPosted, 0, 'no_posts'), 96);
+});
+
+function pick(updates) {
+  const { health_error: _error, health_checked_at: _checkedAt, ...rest } = updates;
+  return rest;
+}
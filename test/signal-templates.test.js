@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// signal-templates loads the database client at require time; nothing here reaches it
+const dbPath = require.resolve('../src/utils/db');
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { supabase: {}, verifyConnection: async () => true }
+};
+
+const signalTemplateService = require('../src/services/signal-templates');
+
+// 10 terms of 50 characters each: valid alone, too long once combined
+function template(name) {
+  const terms = Array.from({ length: 10 }, (_, i) => `${name}term${i}`.padEnd(50, 'x'));
+  return { id: name, name, keywords: [], query: terms.join(' OR '), exclude_keywords: [] };
+}
+
+test('combines template keywords without duplicates and ORs their queries', () => {
+  const combined = signalTemplateService.combineTemplates([
+    { keywords: ['Hiring', 'sdr'], query: 'raised', exclude_keywords: ['webinar'] },
+    { keywords: ['hiring'], query: 'series NEAR/2 a', exclude_keywords: ['Webinar', 'intern'] }
+  ], 'funding');
+
+  assert.deepStrictEqual(combined, {
+    keywords: ['Hiring', 'sdr'],
+    query: '(funding) OR (raised) OR (series NEAR/2 a)',
+    exclude_keywords: ['webinar', 'intern']
+  });
+});
+
+test('accepts templates whose combined query is within the limits', () => {
+  assert.strictEqual(signalTemplateService.validateCombination([template('a')], 'hiring'), null);
+});
+
+test('rejects templates whose combined query is too long, naming them', () => {
+  const error = signalTemplateService.validateCombination(
+    [template('alpha'), template('beta')],
+    'hiring'
+  );
+
+  assert.match(error, /alpha, beta and the campaign query/);
+  assert.match(error, /at most 1000 characters/);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stem } = require('../src/utils/stemmer');
+
+test('reduces inflections of a word to one stem', () => {
+  for (const words of [['hire', 'hired', 'hires', 'hiring'], ['funded', 'funding'], ['raised', 'raising']]) {
+    assert.strictEqual(new Set(words.map(stem)).size, 1, words.join(', '));
+  }
+});
+
+test('applies the Porter suffix rules', () => {
+  assert.strictEqual(stem('caresses'), 'caress');
+  assert.strictEqual(stem('ponies'), 'poni');
+  assert.strictEqual(stem('relational'), 'relat');
+  assert.strictEqual(stem('generalization'), 'gener');
+});
+
+test('leaves short and non-ASCII words alone', () => {
+  assert.strictEqual(stem('ae'), 'ae');
+  assert.strictEqual(stem('sdr2'), 'sdr2');
+  assert.strictEqual(stem('über'), 'über');
+});